@@ -0,0 +1,29 @@
+// ai/index.js — the language model behind summaries and translations
+//
+// Each provider exposes name, languages (codes it can translate into, or null for any) and two async
+// methods: summarize(messages) -> string, where messages are { sender, text, timestamp } oldest first,
+// and translate(text, language) -> string. Providers throw plain errors; services/ai.js maps them.
+
+// AI_PROVIDER=local|openai; openai is the default whenever AI_API_KEY is set
+function createAIProvider(options = {}) {
+  const driver = options.driver || process.env.AI_PROVIDER || (process.env.AI_API_KEY ? "openai" : "local");
+
+  switch (driver) {
+    case "local": {
+      const { createLocalProvider } = require("./local");
+      return createLocalProvider();
+    }
+    case "openai": {
+      const { createOpenAIProvider } = require("./openai");
+      return createOpenAIProvider({
+        apiKey: options.apiKey || process.env.AI_API_KEY,
+        model: options.model || process.env.AI_MODEL,
+        baseUrl: options.baseUrl || process.env.AI_BASE_URL,
+      });
+    }
+    default:
+      throw new Error(`Unknown AI provider "${driver}"`);
+  }
+}
+
+module.exports = { createAIProvider };
@@ -0,0 +1,96 @@
+// ai/local.js — a deterministic, offline provider: extractive summaries and a small phrasebook.
+// Good enough to try the features without an API key, and stable output for tests.
+
+const MAX_POINTS = 3;
+const MAX_POINT_LENGTH = 140;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "do", "for", "from", "have", "he", "i", "if", "in",
+  "is", "it", "its", "me", "my", "no", "not", "of", "on", "or", "so", "that", "the", "this", "to", "was",
+  "we", "what", "with", "you", "your", "ok", "okay", "yes", "yeah", "lol", "hi", "hey", "hello",
+]);
+
+// Common chat words; anything else is passed through unchanged
+const PHRASEBOOK = {
+  es: {
+    hello: "hola", hi: "hola", bye: "adiós", goodbye: "adiós", thanks: "gracias", thank: "gracias",
+    please: "por favor", yes: "sí", no: "no", good: "bueno", morning: "mañana", night: "noche",
+    how: "cómo", are: "estás", you: "tú", i: "yo", am: "estoy", fine: "bien", see: "ver", tomorrow: "mañana",
+    today: "hoy", friend: "amigo", love: "amor", coffee: "café", meeting: "reunión", time: "hora",
+    where: "dónde", when: "cuándo", what: "qué", and: "y", the: "el", is: "es", sorry: "perdón",
+  },
+  fr: {
+    hello: "bonjour", hi: "salut", bye: "au revoir", goodbye: "au revoir", thanks: "merci", thank: "merci",
+    please: "s'il te plaît", yes: "oui", no: "non", good: "bon", morning: "matin", night: "nuit",
+    how: "comment", are: "vas", you: "tu", i: "je", am: "suis", fine: "bien", see: "voir", tomorrow: "demain",
+    today: "aujourd'hui", friend: "ami", love: "amour", coffee: "café", meeting: "réunion", time: "heure",
+    where: "où", when: "quand", what: "quoi", and: "et", the: "le", is: "est", sorry: "pardon",
+  },
+  de: {
+    hello: "hallo", hi: "hallo", bye: "tschüss", goodbye: "auf Wiedersehen", thanks: "danke", thank: "danke",
+    please: "bitte", yes: "ja", no: "nein", good: "gut", morning: "Morgen", night: "Nacht",
+    how: "wie", are: "geht's", you: "du", i: "ich", am: "bin", fine: "gut", see: "sehen", tomorrow: "morgen",
+    today: "heute", friend: "Freund", love: "Liebe", coffee: "Kaffee", meeting: "Treffen", time: "Zeit",
+    where: "wo", when: "wann", what: "was", and: "und", the: "der", is: "ist", sorry: "Entschuldigung",
+  },
+};
+
+const WORD = /[\p{L}\p{N}']+/gu;
+
+function sentencesOf(text) {
+  return text.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+}
+
+function wordsOf(text) {
+  return (text.toLowerCase().match(WORD) || []).filter(word => !STOPWORDS.has(word));
+}
+
+function clip(text) {
+  return text.length > MAX_POINT_LENGTH ? `${text.slice(0, MAX_POINT_LENGTH - 1)}…` : text;
+}
+
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names[0];
+}
+
+function createLocalProvider() {
+  // Picks the sentences whose words come up most across the conversation, kept in their original order
+  async function summarize(messages) {
+    const senders = [...new Set(messages.map(m => m.sender))];
+    const frequency = new Map();
+    const sentences = [];
+    messages.forEach(({ sender, text }) => {
+      sentencesOf(text).forEach(sentence => {
+        const words = wordsOf(sentence);
+        words.forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1));
+        sentences.push({ sender, sentence, words, index: sentences.length });
+      });
+    });
+
+    const points = sentences
+      .filter(s => s.words.length)
+      .map(s => ({ ...s, score: s.words.reduce((sum, word) => sum + frequency.get(word), 0) / Math.sqrt(s.words.length) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, MAX_POINTS)
+      .sort((a, b) => a.index - b.index);
+
+    const count = `${messages.length} message${messages.length === 1 ? "" : "s"}`;
+    const header = `${count} from ${listNames(senders)}.`;
+    if (!points.length) return header;
+    return [header, ...points.map(p => `• ${p.sender}: ${clip(p.sentence)}`)].join("\n");
+  }
+
+  async function translate(text, language) {
+    const words = PHRASEBOOK[language];
+    return text.replace(WORD, (word) => {
+      const translated = words[word.toLowerCase()];
+      if (!translated) return word;
+      // Keep a leading capital, as at the start of a sentence
+      return word[0] !== word[0].toLowerCase() ? translated[0].toUpperCase() + translated.slice(1) : translated;
+    });
+  }
+
+  return { name: "local", languages: Object.keys(PHRASEBOOK), summarize, translate };
+}
+
+module.exports = { createLocalProvider };
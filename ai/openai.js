@@ -0,0 +1,48 @@
+// ai/openai.js — any OpenAI-compatible chat completions API (AI_BASE_URL points elsewhere, e.g. a local server)
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = "gpt-4o-mini";
+const REQUEST_TIMEOUT_MS = 30000;
+
+function createOpenAIProvider({ apiKey, model = DEFAULT_MODEL, baseUrl = DEFAULT_BASE_URL }) {
+  if (!apiKey) throw new Error("AI_API_KEY environment variable is not set");
+
+  async function complete(instructions, input) {
+    const res = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+      body: JSON.stringify({
+        model,
+        temperature: 0,
+        messages: [{ role: "system", content: instructions }, { role: "user", content: input }],
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`AI provider responded with ${res.status}`);
+    const data = await res.json();
+    const text = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+    if (typeof text !== "string") throw new Error("AI provider returned no text");
+    return text.trim();
+  }
+
+  async function summarize(messages) {
+    const transcript = messages.map(m => `[${new Date(m.timestamp).toISOString()}] ${m.sender}: ${m.text}`).join("\n");
+    return complete(
+      "Summarize this chat conversation in at most five short bullet points. Mention who said what when it matters. " +
+        "Reply with the summary only.",
+      transcript
+    );
+  }
+
+  async function translate(text, language) {
+    return complete(
+      `Translate the user's chat message into the language with code "${language}". Keep emoji and names as they are. ` +
+        "Reply with the translation only.",
+      text
+    );
+  }
+
+  return { name: `openai:${model}`, languages: null, summarize, translate };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,85 @@
+// bots/index.js — virtual users that live inside the server process
+//
+// A bot is { username, displayName, bio, avatar (path to an image, optional), commands, onMessage }.
+// `commands` maps a name to { usage, description, run(ctx) }: a message that is exactly "/name args"
+// in any conversation never reaches the other side and is answered privately to whoever typed it.
+// `onMessage(ctx)` receives direct messages sent to the bot; its reply is an ordinary message.
+// Both get ctx = { user, peer, text, args, reply(text) }, where peer is the conversation the text was typed in.
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const { hashPassword } = require("../utils/password");
+
+const COMMAND_PATTERN = /^\/([a-z][a-z0-9_-]*)(?:\s+([\s\S]*))?$/i;
+
+function createBotRegistry(storage, profiles) {
+  const bots = new Map();
+
+  function register(bot) {
+    if (bots.has(bot.username)) throw new Error(`Bot "${bot.username}" is already registered`);
+    bots.set(bot.username, bot);
+  }
+
+  // Creates each bot's account on first start. The password is random and thrown away, so nobody can log in as it.
+  async function connect() {
+    for (const bot of [...bots.values()]) {
+      let user = await storage.findUser(bot.username);
+      if (user && !user.bot) {
+        console.warn(`⚠️ Bot "${bot.username}" disabled: a person already has that username`);
+        bots.delete(bot.username);
+        continue;
+      }
+      if (!user) {
+        const password = await hashPassword(crypto.randomBytes(32).toString("hex"));
+        // Another instance starting at the same moment may create it first
+        user = await storage.createUser({ username: bot.username, password, displayName: bot.displayName, bio: bot.bio, bot: true })
+          .catch(async (err) => {
+            const existing = await storage.findUser(bot.username);
+            if (!existing || !existing.bot) throw err;
+            return existing;
+          });
+      }
+      if (!user.avatar && bot.avatar) {
+        // A missing or broken icon only costs the bot its picture
+        try {
+          const buffer = await fs.readFile(bot.avatar);
+          await profiles.saveAvatar(bot.username, await profiles.prepareAvatar({ buffer, size: buffer.length, mimetype: "image/png" }));
+        } catch (err) {
+          console.warn(`⚠️ No profile picture for bot "${bot.username}": ${err.message}`);
+        }
+      }
+    }
+  }
+
+  const isBot = (username) => bots.has(username);
+
+  // The bot and command a message invokes, or null for ordinary text (including unknown "/words")
+  function findCommand(text) {
+    const match = typeof text === "string" && text.trim().match(COMMAND_PATTERN);
+    if (!match) return null;
+    const name = match[1].toLowerCase();
+    for (const bot of bots.values()) {
+      if (bot.commands && Object.hasOwn(bot.commands, name)) {
+        return { bot, name, command: bot.commands[name], args: (match[2] || "").trim() };
+      }
+    }
+    return null;
+  }
+
+  // Usage lines for /help, across every bot
+  function commandList() {
+    return [...bots.values()].flatMap(bot =>
+      Object.entries(bot.commands || {}).map(([name, { usage, description }]) => ({ bot: bot.username, name, usage: usage || `/${name}`, description })));
+  }
+
+  return {
+    connect,
+    register,
+    isBot,
+    findCommand,
+    commandList,
+    get: (username) => bots.get(username) || null,
+    usernames: () => [...bots.keys()],
+  };
+}
+
+module.exports = { createBotRegistry };
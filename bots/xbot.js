@@ -0,0 +1,134 @@
+// bots/xbot.js — the built-in assistant: summaries, translations, mood and reminders as slash commands
+const { conversationIdFor } = require("../utils/conversation");
+const { analyzeMood } = require("../utils/mood");
+
+const MOOD_WINDOW = 20;
+const MAX_REMINDERS_PER_USER = 20;
+const MAX_REMINDER_MS = 7 * 24 * 60 * 60 * 1000;
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const UNIT_NAMES = { s: "second", m: "minute", h: "hour", d: "day" };
+const MOOD_EMOJI = { happy: "😊", neutral: "😐", sad: "😢", angry: "😠" };
+
+// "10m stretch", "in 2h call mom", "1 day renew passport"
+const REMIND_PATTERN = /^(?:in\s+)?(\d+)\s*(s|sec|secs|seconds?|m|min|mins|minutes?|h|hrs?|hours?|d|days?)\s+([\s\S]+)$/i;
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+// `registry` lists every bot's commands for /help; `ai` is the AI service;
+// `sendMessage({ sender, recipient, message })` stores and delivers like any user's message
+function createXBot({ storage, ai, registry, sendMessage }) {
+  const username = "xbot";
+  const reminders = new Map(); // username -> Set of pending timers; they live in memory and don't survive a restart
+
+  async function recentMessages(user, peer, limit) {
+    const page = await storage.listMessages(conversationIdFor(user, peer), { limit, viewer: user });
+    return page.messages.filter(m => !m.deletedAt && m.message);
+  }
+
+  const commands = {
+    help: {
+      description: "List the commands",
+      async run({ reply }) {
+        const lines = registry.commandList().map(({ usage, description }) => `${usage} — ${description}`);
+        await reply(`Here's what I can do:\n${lines.join("\n")}`);
+      },
+    },
+
+    summarize: {
+      usage: "/summarize [count]",
+      description: "Summarize the latest messages in this chat (50 by default)",
+      async run({ user, peer, args, reply }) {
+        const limit = args ? parseInt(args, 10) : undefined;
+        if (args && !(limit > 0)) return reply("Usage: /summarize [count], e.g. /summarize 20");
+        const { summary } = await ai.summarize(user, peer, { limit });
+        await reply(summary || "There's nothing to summarize here yet.");
+      },
+    },
+
+    translate: {
+      usage: "/translate <lang> [text]",
+      description: "Translate some text, or the last message someone else sent here",
+      async run({ user, peer, args, reply }) {
+        const [language, ...rest] = args.split(/\s+/);
+        if (!language) return reply("Usage: /translate <lang> [text], e.g. /translate es");
+        const text = rest.join(" ");
+        if (text) return reply((await ai.translateText(text, language)).text);
+        const last = (await recentMessages(user, peer, MOOD_WINDOW)).filter(m => m.sender !== user).pop();
+        if (!last) return reply("There's no message from anyone else here to translate.");
+        const translation = await ai.translate(user, last.id, language);
+        await reply(`${last.sender}: ${translation.text}`);
+      },
+    },
+
+    mood: {
+      usage: "/mood [text]",
+      description: `How the last ${MOOD_WINDOW} messages here feel, or the mood of some text`,
+      async run({ user, peer, args, reply }) {
+        if (args) {
+          const { mood, score } = analyzeMood(args);
+          return reply(`That sounds ${mood} ${MOOD_EMOJI[mood]} (score ${score})`);
+        }
+        const counts = {};
+        (await recentMessages(user, peer, MOOD_WINDOW)).forEach(m => {
+          if (m.mood) counts[m.mood] = (counts[m.mood] || 0) + 1;
+        });
+        const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        if (!ranked.length) return reply("There aren't any messages here to read the mood of yet.");
+        const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+        const breakdown = ranked.map(([mood, count]) => `${count} ${mood}`).join(", ");
+        await reply(`Mostly ${ranked[0][0]} ${MOOD_EMOJI[ranked[0][0]] || ""} across the last ${plural(total, "message")} (${breakdown})`);
+      },
+    },
+
+    remind: {
+      usage: "/remind <time> <text>",
+      description: "Get a message from me later, e.g. /remind 10m stretch (s, m, h or d, up to 7 days)",
+      async run({ user, args, reply }) {
+        const match = args.match(REMIND_PATTERN);
+        if (!match) return reply("Usage: /remind <time> <text>, e.g. /remind 10m stretch or /remind 2h call mom");
+        const amount = parseInt(match[1], 10);
+        const unit = match[2][0].toLowerCase();
+        const delay = amount * UNITS[unit];
+        if (!amount || delay > MAX_REMINDER_MS) return reply("Reminders can be set from 1 second up to 7 days ahead.");
+        const pending = reminders.get(user) || new Set();
+        if (pending.size >= MAX_REMINDERS_PER_USER) return reply(`You already have ${MAX_REMINDERS_PER_USER} reminders waiting.`);
+
+        const text = match[3].trim();
+        const timer = setTimeout(() => {
+          pending.delete(timer);
+          if (!pending.size) reminders.delete(user);
+          sendMessage({ sender: username, recipient: user, message: `⏰ Reminder: ${text}` }).catch((err) => {
+            console.error("Reminder delivery error:", err);
+          });
+        }, delay);
+        timer.unref();
+        pending.add(timer);
+        reminders.set(user, pending);
+        await reply(`⏰ OK, I'll remind you in ${plural(amount, UNIT_NAMES[unit])}: ${text}`);
+      },
+    },
+  };
+
+  // Plain messages in a direct chat with the bot
+  async function onMessage({ reply }) {
+    await reply("Hi! I answer slash commands in any chat. Type /help to see them.");
+  }
+
+  function stop() {
+    reminders.forEach(pending => pending.forEach(timer => clearTimeout(timer)));
+    reminders.clear();
+  }
+
+  return {
+    username,
+    displayName: "X Bot",
+    bio: "Your assistant in every chat. Type /help",
+    commands,
+    onMessage,
+    stop,
+  };
+}
+
+module.exports = { createXBot };
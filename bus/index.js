@@ -0,0 +1,24 @@
+// bus/index.js — cross-instance fan-out for deliveries, presence and cache invalidation
+//
+// Each bus exposes connect(), close(), publish(event) and subscribe(handler). Events are plain JSON
+// objects and every subscriber, including the publishing instance, receives every event.
+
+// BUS=local|redis; redis is the default whenever REDIS_URL is set
+function createBus(options = {}) {
+  const driver = options.driver || process.env.BUS || (process.env.REDIS_URL ? "redis" : "local");
+
+  switch (driver) {
+    case "local": {
+      const { createLocalBus } = require("./local");
+      return createLocalBus(options);
+    }
+    case "redis": {
+      const { createRedisBus } = require("./redis");
+      return createRedisBus({ url: options.url || process.env.REDIS_URL, channel: options.channel || process.env.BUS_CHANNEL });
+    }
+    default:
+      throw new Error(`Unknown bus driver "${driver}"`);
+  }
+}
+
+module.exports = { createBus };
@@ -0,0 +1,35 @@
+// bus/local.js — in-process bus; every bus created on the same hub sees every event
+const { EventEmitter } = require("events");
+
+const sharedHub = new EventEmitter();
+sharedHub.setMaxListeners(0);
+
+function createLocalBus({ hub = sharedHub } = {}) {
+  const handlers = new Set();
+  const listener = (event) => handlers.forEach(handler => handler(event));
+
+  return {
+    name: "local",
+
+    async connect() {
+      hub.on("event", listener);
+    },
+
+    async close() {
+      hub.off("event", listener);
+    },
+
+    // Delivered asynchronously and as a copy, like it would be over the network
+    async publish(event) {
+      const copy = JSON.parse(JSON.stringify(event));
+      setImmediate(() => hub.emit("event", copy));
+    },
+
+    subscribe(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+  };
+}
+
+module.exports = { createLocalBus };
@@ -0,0 +1,91 @@
+// bus/redis-standin.js — a tiny in-process server answering the pub/sub subset of Redis
+//
+// Lets the Redis bus be exercised (and several server.js instances be run) without a real Redis:
+//   node bus/redis-standin.js [port]
+// Supports PING, AUTH, SUBSCRIBE, UNSUBSCRIBE, PUBLISH and QUIT.
+const net = require("net");
+const { createParser, simple, error, integer, bulk, array } = require("./resp");
+
+function createRedisStandin() {
+  const channels = new Map(); // channel -> Set of subscribed sockets
+  const sockets = new Set();
+
+  function unsubscribe(socket, channel) {
+    const subscribers = channels.get(channel);
+    if (!subscribers) return;
+    subscribers.delete(socket);
+    if (!subscribers.size) channels.delete(channel);
+  }
+
+  function handle(socket, command) {
+    if (!Array.isArray(command) || !command.length) return socket.write(error("ERR protocol error"));
+    const [name, ...args] = command;
+
+    switch (String(name).toUpperCase()) {
+      case "PING":
+        return socket.write(simple("PONG"));
+      case "AUTH":
+        return socket.write(simple("OK"));
+      case "SUBSCRIBE":
+        args.forEach(channel => {
+          if (!channels.has(channel)) channels.set(channel, new Set());
+          channels.get(channel).add(socket);
+          socket.subscriptions.add(channel);
+          socket.write(array([bulk("subscribe"), bulk(channel), integer(socket.subscriptions.size)]));
+        });
+        return;
+      case "UNSUBSCRIBE":
+        (args.length ? args : [...socket.subscriptions]).forEach(channel => {
+          unsubscribe(socket, channel);
+          socket.subscriptions.delete(channel);
+          socket.write(array([bulk("unsubscribe"), bulk(channel), integer(socket.subscriptions.size)]));
+        });
+        return;
+      case "PUBLISH": {
+        const [channel, message] = args;
+        const subscribers = channels.get(channel) || new Set();
+        const frame = array([bulk("message"), bulk(channel), bulk(message)]);
+        subscribers.forEach(subscriber => subscriber.write(frame));
+        return socket.write(integer(subscribers.size));
+      }
+      case "QUIT":
+        socket.write(simple("OK"));
+        return socket.end();
+      default:
+        return socket.write(error(`ERR unknown command '${name}'`));
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    socket.subscriptions = new Set();
+    sockets.add(socket);
+    socket.on("data", createParser(command => handle(socket, command)));
+    socket.on("error", () => {});
+    socket.on("close", () => {
+      socket.subscriptions.forEach(channel => unsubscribe(socket, channel));
+      sockets.delete(socket);
+    });
+  });
+
+  return {
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => resolve(server.address().port));
+      });
+    },
+    close() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+if (require.main === module) {
+  const standin = createRedisStandin();
+  standin.listen(Number(process.argv[2]) || 6379).then(port => {
+    console.log(`🧪 Redis stand-in listening on 127.0.0.1:${port}`);
+  });
+}
+
+module.exports = { createRedisStandin };
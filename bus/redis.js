@@ -0,0 +1,138 @@
+// bus/redis.js — pub/sub over any server speaking the Redis protocol, with no client library
+const net = require("net");
+const { RespError, encodeCommand, createParser } = require("./resp");
+
+const RECONNECT_MAX_MS = 10000;
+const CLOSE_WAIT_MS = 1000; // how long close() lets publishes already sent wait for their replies
+
+function parseUrl(url) {
+  const parsed = new URL(url);
+  return {
+    host: parsed.hostname || "127.0.0.1",
+    port: Number(parsed.port) || 6379,
+    password: parsed.password ? decodeURIComponent(parsed.password) : null,
+  };
+}
+
+// One TCP connection that reconnects with backoff and re-runs its setup commands each time
+function createConnection({ host, port, password }, { name, onReply, setup, onClose = () => {} }) {
+  let socket = null;
+  let closed = false;
+  let attempts = 0;
+  let ready = null;
+
+  function open() {
+    return new Promise((resolve, reject) => {
+      socket = net.connect(port, host);
+      socket.setNoDelay(true);
+      socket.on("data", createParser(onReply));
+      socket.once("connect", () => {
+        attempts = 0;
+        if (password) socket.write(encodeCommand(["AUTH", password]));
+        setup(socket);
+        resolve();
+      });
+      socket.on("error", (err) => {
+        console.error(`❌ Redis ${name} connection error:`, err.message);
+        reject(err);
+      });
+      socket.on("close", () => {
+        onClose();
+        if (closed) return;
+        const delay = Math.min(100 * 2 ** attempts++, RECONNECT_MAX_MS);
+        setTimeout(() => open().catch(() => {}), delay);
+      });
+    });
+  }
+
+  return {
+    connect() {
+      ready = ready || open();
+      return ready;
+    },
+    write(data) {
+      if (!socket || socket.destroyed || socket.connecting) throw new Error(`Redis ${name} connection is not open`);
+      socket.write(data);
+    },
+    close() {
+      closed = true;
+      if (socket) socket.end();
+    },
+  };
+}
+
+function createRedisBus({ url = "redis://127.0.0.1:6379", channel = "chat-x" } = {}) {
+  const options = parseUrl(url);
+  const handlers = new Set();
+  const pending = []; // replies to PUBLISH come back in order
+  let closing = false;
+
+  // AUTH replies arrive first on each fresh connection; they're simple strings, not publish counts
+  const publisher = createConnection(options, {
+    name: "publisher",
+    onReply: (reply) => {
+      if (reply === "OK") return;
+      const waiter = pending.shift();
+      if (!waiter) return;
+      if (reply instanceof RespError) waiter.reject(reply);
+      else waiter.resolve(reply);
+    },
+    setup: () => {},
+    // Replies for anything in flight died with the connection; on purpose, nobody is waiting to hear about it
+    onClose: () => pending.splice(0).forEach(waiter => (closing ? waiter.resolve(0) : waiter.reject(new Error("Redis connection lost")))),
+  });
+
+  const subscriber = createConnection(options, {
+    name: "subscriber",
+    onReply: (reply) => {
+      if (!Array.isArray(reply) || reply[0] !== "message") return;
+      let event;
+      try {
+        event = JSON.parse(reply[2]);
+      } catch (err) {
+        console.error("⚠️ Ignoring malformed bus event:", err.message);
+        return;
+      }
+      handlers.forEach(handler => handler(event));
+    },
+    setup: (socket) => socket.write(encodeCommand(["SUBSCRIBE", channel])),
+  });
+
+  return {
+    name: "redis",
+
+    async connect() {
+      await Promise.all([publisher.connect(), subscriber.connect()]);
+    },
+
+    // Publishes already sent (such as an instance's goodbye) get a moment to be answered before the connection ends
+    async close() {
+      closing = true;
+      const answered = Promise.allSettled(pending.map(waiter => waiter.done));
+      await Promise.race([answered, new Promise(resolve => setTimeout(resolve, CLOSE_WAIT_MS).unref())]);
+      publisher.close();
+      subscriber.close();
+    },
+
+    publish(event) {
+      let waiter;
+      const done = new Promise((resolve, reject) => {
+        waiter = { resolve, reject };
+      });
+      try {
+        publisher.write(encodeCommand(["PUBLISH", channel, JSON.stringify(event)]));
+        pending.push({ ...waiter, done });
+      } catch (err) {
+        waiter.reject(err);
+      }
+      return done;
+    },
+
+    subscribe(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+  };
+}
+
+module.exports = { createRedisBus };
@@ -0,0 +1,76 @@
+// bus/resp.js — just enough of the Redis wire protocol (RESP2) for pub/sub
+
+class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RespError";
+  }
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+const simple = (value) => `+${value}\r\n`;
+const error = (message) => `-${message}\r\n`;
+const integer = (value) => `:${value}\r\n`;
+const bulk = (value) => (value == null ? "$-1\r\n" : `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`);
+const array = (items) => `*${items.length}\r\n${items.join("")}`;
+
+// Returns [value, nextOffset], or null when the buffer doesn't hold a complete reply yet
+function parseReply(buf, offset) {
+  const end = buf.indexOf("\r\n", offset);
+  if (end === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, end);
+
+  switch (type) {
+    case "+":
+      return [line, end + 2];
+    case "-":
+      return [new RespError(line), end + 2];
+    case ":":
+      return [Number(line), end + 2];
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return [null, end + 2];
+      if (buf.length < end + 2 + length + 2) return null;
+      return [buf.toString("utf8", end + 2, end + 2 + length), end + 2 + length + 2];
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return [null, end + 2];
+      const items = [];
+      let position = end + 2;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, position);
+        if (!item) return null;
+        items.push(item[0]);
+        position = item[1];
+      }
+      return [items, position];
+    }
+    default:
+      throw new RespError(`Unexpected RESP type byte "${type}"`);
+  }
+}
+
+// Feed it socket chunks; it calls onReply once per complete value, however the stream was split
+function createParser(onReply) {
+  let buffer = Buffer.alloc(0);
+  return (chunk) => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let parsed;
+    while (buffer.length && (parsed = parseReply(buffer, 0))) {
+      buffer = buffer.subarray(parsed[1]);
+      onReply(parsed[0]);
+    }
+  };
+}
+
+module.exports = { RespError, encodeCommand, createParser, simple, error, integer, bulk, array };
@@ -3,6 +3,50 @@ let socket;
 let username;
 let authToken;
 let selectedRecipient = null;
+let presence = {}; // username -> { status, statusText, lastSeen } for the people we're allowed to see
+let myStatus = { statusText: null, doNotDisturb: false };
+let activity = "online"; // this tab's own online / idle / away, from idle detection
+let lastInputAt = Date.now();
+let myGroups = {}; // groupId -> { groupId, name, owner, members }
+let unreadCounts = {}; // conversation id -> unread messages
+let conversationList = []; // from /conversations, most recent activity first
+let searchResults = null; // directory matches while #user-search has text
+let oldestMessageId = null;
+let hasMoreHistory = false;
+let newestMessageId = null; // only tracked while a jump to a search hit leaves newer history unloaded
+let hasNewerHistory = false;
+let loadingHistory = false;
+let unreadOnOpen = 0; // unread count when the chat was opened, for "summarize what I missed"
+let reconnectAttempts = 0;
+let lastSeen = null; // { id, timestamp } of the newest message this page has seen
+let moodTrend = []; // { mood, score } of the open chat's latest messages, oldest first
+let blockedUsers = new Set(); // usernames we blocked
+let mutes = {}; // conversation id -> until (ISO time) or true for muted until unmuted
+let missedWhileHidden = 0; // messages that arrived while the tab was in the background, shown in the title
+let replyingTo = null; // { id, preview } of the message the next one sent quotes
+let openThreadId = null; // root message of the side thread shown in #thread-panel
+let oldestReplyId = null;
+let hasMoreReplies = false;
+let loadingReplies = false;
+let encryptedChats = new Set(); // peers this browser encrypts messages to
+let knownKeys = {}; // username -> { fingerprint, verified, pending } of the key we trust for them
+let myKeys = null; // { privateKey, publicKey (base64 SPKI), fingerprint } of this browser
+const peerKeys = {}; // username -> pending or done lookup of their published { publicKey, fingerprint }
+const sharedKeys = new Map(); // peer's base64 public key -> AES key derived with ours
+let incoming = Promise.resolve(); // frames are handled one at a time, since decrypting makes handling async
+const outbox = new Map(); // clientId -> message frame not yet acked by the server
+const profiles = {}; // username -> profile from /users/:username
+const profileRequests = {}; // username -> pending profile fetch
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const TYPING_THROTTLE_MS = 2000; // the server drops typing updates sent faster than this anyway
+const MOOD_TREND_POINTS = 20;
+const MOOD_WINDOW = 5; // the header emoji follows the average of this many latest messages
+const PAGE_TITLE = document.title;
+const IDLE_AFTER_MS = 2 * 60 * 1000; // no input (or the tab in the background) for this long counts as idle
+const AWAY_AFTER_MS = 10 * 60 * 1000;
+const PRESENCE_LABELS = { online: "online", idle: "idle", away: "away", dnd: "do not disturb" };
 
 
 
@@ -10,11 +54,11 @@ let selectedRecipient = null;
 
 console.log("✅ script.js loaded!");
 
-window.onload = async function () {
+window.onload = function () {
   username = localStorage.getItem("username");
-  const password = localStorage.getItem("password");
+  authToken = localStorage.getItem("token");
 
-  if (!username || !password) {
+  if (!username || !authToken) {
     alert("Login info not found. Redirecting to login page.");
     window.location.href = "login.html";
     return;
@@ -26,24 +70,26 @@ window.onload = async function () {
     welcomeElement.textContent = `Welcome, ${username}`;
   }
 
-  try {
-    const res = await fetch("/login", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ username, password })
-    });
+  loadEncryptionState();
+  connectWebSocket();
+};
 
-    const data = await res.json();
-    if (!res.ok) throw new Error(data.error || "Login failed");
+function redirectToLogin() {
+  localStorage.removeItem("token");
+  alert("Session expired. Please login again.");
+  window.location.href = "login.html";
+}
 
-    authToken = data.token || "dummy-token";
-    connectWebSocket();
-  } catch (err) {
-    console.error("Auto-login failed:", err);
-    alert("Session expired or server error. Please login again.");
-    window.location.href = "login.html";
+// Authenticated fetch against our own API
+async function apiFetch(url, options = {}) {
+  const headers = { ...(options.headers || {}), Authorization: `Bearer ${authToken}` };
+  const res = await fetch(url, { ...options, headers });
+  if (res.status === 401) {
+    redirectToLogin();
+    throw new Error("Unauthorized");
   }
-};
+  return res;
+}
 
 
 function connectWebSocket() {
@@ -57,55 +103,700 @@ function connectWebSocket() {
 
   socket.onopen = () => {
     console.log("✅ WebSocket opened");
-    socket.send(JSON.stringify({ type: "connect", username, token: authToken }));
+    sendFrame("connect", { username, token: authToken, version: ChatProtocol.VERSION });
   };
 
-  socket.onmessage = handleSocketMessage;
+  socket.onmessage = (event) => {
+    incoming = incoming.then(() => handleSocketMessage(event)).catch(err => console.error("❌ Frame handling failed:", err));
+  };
   socket.onerror = (e) => {
     console.error("❌ WebSocket error:", e);
-    alert("WebSocket error. Please refresh.");
   };
-  socket.onclose = () => console.warn("🔌 WebSocket disconnected");
-}
-
-function handleSocketMessage(event) {
-  const data = JSON.parse(event.data);
-  if (data.type === "updateUsers") {
-    const container = document.getElementById("user-items-container");
-    container.innerHTML = "";
-    data.users.forEach(user => {
-      if (user !== username) {
-        const el = document.createElement("div");
-        el.textContent = user;
-        el.className = "user-item";
-        el.onclick = async () => {
-          selectedRecipient = user;
-          document.getElementById("chat-box").innerHTML = "";
-          document.getElementById("chat-title").textContent = `${user}`;
-          document.querySelector(".status-indicator").style.backgroundColor = "#00ff88"; // show green dot
-
-
-          // Fetch message history
-          try {
-            const history = await fetch(`/history?user=${username}&peer=${user}`);
-            const messages = await history.json();
-            messages.forEach(renderMessage);
-          } catch (err) {
-            console.error("Failed to load chat history", err);
-          }
-        };
-        container.appendChild(el);
-      }
-    });
+  socket.onclose = (e) => {
+    console.warn("🔌 WebSocket disconnected");
+    if (e.code === 1008) return redirectToLogin(); // token rejected by the server
+    scheduleReconnect();
+  };
+}
+
+// Exponential backoff with jitter so a restarted server isn't hit by every client at once
+function scheduleReconnect() {
+  const delay = Math.min(RECONNECT_BASE_MS * 2 ** reconnectAttempts, RECONNECT_MAX_MS) * (0.5 + Math.random() / 2);
+  reconnectAttempts++;
+  renderStatus(`🔌 Connection lost, reconnecting in ${Math.round(delay / 1000)}s...`);
+  setTimeout(connectWebSocket, delay);
+}
+
+// Only the fields the protocol declares for `type` are sent, so display-only extras can ride along in `fields`
+function sendFrame(type, fields = {}) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+  let frame;
+  try {
+    frame = ChatProtocol.encode(type, fields);
+  } catch (err) {
+    console.error("❌ Not sent:", err.message);
+    return false;
+  }
+  socket.send(frame);
+  return true;
+}
+
+// Queued messages keep their type with their fields until acked; an encrypted one keeps its text for display only
+function sendQueued(payload) {
+  return sendFrame(payload.type, payload.encrypted ? { ...payload, message: "" } : payload);
+}
+
+function noteSeen({ id, timestamp }) {
+  if (!id || !timestamp) return;
+  if (!lastSeen || new Date(timestamp) >= new Date(lastSeen.timestamp)) lastSeen = { id, timestamp };
+}
+
+// Runs after every successful (re)connect: catch up on what we missed, then flush unsent messages
+function onConnected(data) {
+  reconnectAttempts = 0;
+  if (lastSeen) {
+    sendFrame("sync", { since: lastSeen.timestamp, sinceId: lastSeen.id });
+  } else {
+    // First connect of this page: history is fetched per conversation, so only track from now on
+    lastSeen = { id: null, timestamp: data.serverTime };
+  }
+  outbox.forEach(sendQueued);
+  // The server assumes a new connection is active
+  if (activity !== "online") sendFrame("presence", { status: activity });
+}
+
+async function handleSocketMessage(event) {
+  const data = ChatProtocol.decode(event.data);
+  if (!data) return console.warn("Unreadable frame:", event.data);
+  // Newer servers may send frames this page doesn't know yet; those are skipped
+  if (!ChatProtocol.isServerType(data.type)) return console.warn("Unknown frame type:", data.type);
+  const { error } = ChatProtocol.validateServerFrame(data);
+  if (error) return console.warn(`Invalid ${data.type} frame:`, error);
+  if (data.type === "connect-response") {
+    onConnected(data);
+    loadConversations();
+    loadGroups();
+    loadUnread();
+    loadPrivacy();
+    loadMyStatus();
+    presence = {};
+  } else if (data.type === "sync") {
+    await handleSync(data);
+  } else if (data.type === "presenceList") {
+    data.users.forEach(({ username: name, ...state }) => { presence[name] = state; });
+    renderSidebar();
+    renderPresenceHeader();
+  } else if (data.type === "presence") {
+    const { type, username: name, ...state } = data;
+    presence[name] = state;
+    renderSidebar();
+    if (name === selectedRecipient || isGroupId(selectedRecipient)) renderPresenceHeader();
+  } else if (data.type === "statusUpdate") {
+    // Changed on one of our devices
+    myStatus = { statusText: data.statusText, doNotDisturb: data.doNotDisturb };
+    renderMyStatus();
+  } else if (data.type === "groupUpdate") {
+    myGroups[data.group.groupId] = data.group;
+    renderSidebar();
+    if (selectedRecipient === data.group.groupId) {
+      document.getElementById("chat-title").textContent = data.group.name;
+    }
+  } else if (data.type === "groupRemoved") {
+    delete myGroups[data.groupId];
+    conversationList = conversationList.filter(c => c.id !== data.groupId);
+    if (selectedRecipient === data.groupId) closeConversation();
+    renderSidebar();
   } else if (data.type === "message") {
-    updateEmoji(data.mood); // 👈 Add this line to update the emoji
+    await decryptMessage(data);
+    if (data.encrypted && data.sender !== username) await checkPeerKey(data.sender, data.encrypted.senderKey);
+    noteSeen(data);
+    noteActivity(data);
+    // Only show messages that belong to the open conversation
+    const conversation = conversationOf(data);
+    if (data.sender === username) {
+      // Sent from another of our devices
+      if (conversation === selectedRecipient && !hasNewerHistory) {
+        renderMessage(data);
+        noteMood(data);
+      }
+      return;
+    }
+    if (conversation !== selectedRecipient || document.hidden) {
+      sendFrame("delivered", { ids: [data.id] });
+      unreadCounts[conversation] = (unreadCounts[conversation] || 0) + 1;
+      renderSidebar();
+      // The server marks messages from conversations we muted
+      if (!data.muted) notifyMessage(data, conversation);
+    }
+    // Viewing an older stretch of history; this arrives when the user scrolls back down
+    if (conversation !== selectedRecipient || hasNewerHistory) return;
     renderMessage(data);
+    noteMood(data);
+    if (!document.hidden) markConversationRead();
+  } else if (data.type === "messageUpdate") {
+    // An edit, delete, reaction or new thread reply; only bubbles already on screen need touching
+    await decryptMessage(data.message);
+    document.querySelectorAll(`.message[data-id="${CSS.escape(data.message.id)}"]`).forEach(el => fillMessage(el, data.message));
+    const entry = conversationList.find(c => c.lastMessage && c.lastMessage.id === data.message.id);
+    if (entry) {
+      entry.lastMessage = data.message;
+      renderSidebar();
+    }
+  } else if (data.type === "messageHidden") {
+    document.querySelectorAll(`.message[data-id="${CSS.escape(data.id)}"]`).forEach(el => el.remove());
+    if (data.id === openThreadId) closeThread();
+    // The preview may have been the hidden message; the server knows what comes before it
+    if (conversationList.some(c => c.lastMessage && c.lastMessage.id === data.id)) loadConversations();
+  } else if (data.type === "ack") {
+    const sent = outbox.get(data.clientId);
+    outbox.delete(data.clientId);
+    // The server doesn't score encrypted messages, so the mood is the one worked out when sending
+    if (sent && sent.recipient === selectedRecipient && !hasNewerHistory) noteMood(sent.encrypted ? sent : data);
+    noteSeen(data);
+    const el = document.querySelector(`.message[data-client-id="${CSS.escape(data.clientId)}"]`);
+    if (el) {
+      el.dataset.id = data.id;
+      setTicks(el, "sent");
+      // Moderation may have masked part of what we typed
+      if (typeof data.message === "string") el.querySelector(".content").textContent = data.message;
+      el.classList.toggle("flagged", Boolean(data.flags && data.flags.length));
+    }
+  } else if (data.type === "botReply") {
+    handleBotReply(data);
+  } else if (data.type === "blockUpdate") {
+    // One of our devices blocked or unblocked someone
+    if (data.blocked) blockedUsers.add(data.username);
+    else blockedUsers.delete(data.username);
+    renderConversationControls();
+  } else if (data.type === "muteUpdate") {
+    if (data.muted) mutes[data.peer] = data.until || true;
+    else delete mutes[data.peer];
+    renderConversationControls();
+    renderSidebar();
+  } else if (data.type === "keyChange") {
+    // Looked up again before the next encrypted message to or from them
+    delete peerKeys[data.username];
+    if (data.username === username) checkMyKey();
+    else if (encryptedChats.has(data.username)) peerKey(data.username).catch(() => {});
+  } else if (data.type === "read") {
+    // Another of our devices read this conversation
+    delete unreadCounts[data.peer];
+    renderSidebar();
+  } else if (data.type === "receipt") {
+    data.ids.forEach(id => {
+      document.querySelectorAll(`.message[data-id="${CSS.escape(id)}"]`).forEach(el => setTicks(el, data.status));
+    });
   }
    else if (data.type === "typing") {
     showTypingIndicator(data.sender);
+  } else if (data.type === "error") {
+    console.warn("Server error:", data.message);
+    // Too fast: the message stays queued and goes out again once the server is ready for it
+    if (data.code === "rate_limited" && data.clientId && outbox.has(data.clientId)) {
+      setTimeout(() => {
+        if (outbox.has(data.clientId)) sendQueued(outbox.get(data.clientId));
+      }, data.retryAfter || RECONNECT_BASE_MS);
+      renderStatus(`⏳ ${data.message}`);
+      return;
+    }
+    // Refused by moderation or a block; resending would only be refused again
+    if (data.code === "moderated" || data.code === "blocked") outbox.delete(data.clientId);
+    const sent = outbox.get(data.clientId);
+    // No bot knows the command; it was never going to be delivered, so don't resend it
+    if (sent && sent.command && data.code === "invalid_request") outbox.delete(data.clientId);
+    // Encrypted with a key that's been replaced since; the next message uses the new one
+    if (sent && sent.encrypted && (data.code === "conflict" || data.code === "invalid_request")) {
+      outbox.delete(data.clientId);
+      delete peerKeys[sent.recipient];
+    }
+    if (data.clientId) {
+      const el = document.querySelector(`.message[data-client-id="${CSS.escape(data.clientId)}"]`);
+      if (el) setTicks(el, "failed");
+    }
+    renderStatus(`⚠️ ${data.message}`);
+  }
+}
+
+// A slash command was answered just for us: neither the command nor the answer is stored,
+// so both stay on screen until the chat is reloaded
+function handleBotReply(data) {
+  outbox.delete(data.clientId);
+  const command = data.clientId && document.querySelector(`.message[data-client-id="${CSS.escape(data.clientId)}"]`);
+  if (command) {
+    command.classList.add("ephemeral");
+    command.querySelector(".ticks").textContent = "";
+  }
+  if (data.peer !== selectedRecipient) return;
+
+  const clone = document.getElementById("message-template-received").content.cloneNode(true);
+  const el = clone.querySelector(".message");
+  el.classList.add("ephemeral");
+  fillAvatar(clone.querySelector(".avatar"), data.bot);
+  const sender = clone.querySelector(".sender");
+  sender.dataset.user = data.bot;
+  sender.textContent = displayName(data.bot);
+  clone.querySelector(".content").textContent = data.message;
+  clone.querySelector(".actions").remove();
+  clone.querySelector(".time").textContent = "Only visible to you";
+
+  const box = document.getElementById("chat-box");
+  box.appendChild(clone);
+  box.scrollTop = box.scrollHeight;
+}
+
+// Missed messages arrive in pages; ask for the next one until the server says we're caught up
+async function handleSync({ messages, hasMore }) {
+  await decryptAll(messages);
+  const delivered = [];
+  messages.forEach(msg => {
+    noteSeen(msg);
+    noteActivity(msg);
+    if (msg.sender !== username) delivered.push(msg.id);
+    if (conversationOf(msg) === selectedRecipient) renderMessage(msg);
+  });
+  if (delivered.length) sendFrame("delivered", { ids: delivered });
+
+  if (hasMore && lastSeen) {
+    sendFrame("sync", { since: lastSeen.timestamp, sinceId: lastSeen.id });
+  } else {
+    loadUnread();
+    if (!document.hidden) markConversationRead();
+  }
+}
+
+function isGroupId(id) {
+  return typeof id === "string" && id.startsWith("group-");
+}
+
+// The sidebar id a message belongs to: the group, or whoever is on the other side of a direct chat
+function conversationOf(msg) {
+  if (isGroupId(msg.recipient)) return msg.recipient;
+  return msg.sender === username ? msg.recipient : msg.sender;
+}
+
+async function loadConversations() {
+  try {
+    const res = await apiFetch("/conversations");
+    conversationList = await res.json();
+    renderSidebar();
+  } catch (err) {
+    console.error("Failed to load conversations", err);
+  }
+}
+
+// Moves the message's conversation to the top of the sidebar with it as the preview
+function noteActivity(msg) {
+  const id = conversationOf(msg);
+  let entry = conversationList.find(c => c.id === id);
+  if (entry && entry.lastMessageAt && new Date(msg.timestamp) < new Date(entry.lastMessageAt)) return;
+  if (entry) conversationList.splice(conversationList.indexOf(entry), 1);
+  else entry = { id, type: isGroupId(id) ? "group" : "direct", name: myGroups[id] ? myGroups[id].name : id };
+  entry.lastMessage = msg;
+  entry.lastMessageAt = msg.timestamp;
+  conversationList.unshift(entry);
+  renderSidebar();
+}
+
+// One line for a quoted message, above the reply and in the reply bar
+function quoteText(preview) {
+  const who = preview.sender === username ? "You" : displayName(preview.sender);
+  if (preview.deleted) return `${who}: 🚫 Message deleted`;
+  if (preview.attachment) return `${who}: 📎 ${preview.attachment.name}`;
+  return `${who}: ${preview.message || (preview.encrypted ? "🔒 Encrypted message" : "")}`;
+}
+
+function previewText({ type, lastMessage: msg }) {
+  if (!msg) return "";
+  if (msg.deleted || msg.deletedAt) return "🚫 Message deleted";
+  const text = msg.attachment ? `📎 ${msg.attachment.name}` : msg.message || (msg.encrypted ? "🔒 Encrypted message" : "");
+  if (msg.sender === username) return `You: ${text}`;
+  return type === "group" ? `${displayName(msg.sender)}: ${text}` : text;
+}
+
+let searchTimer = null;
+
+document.getElementById("user-search")?.addEventListener("input", (e) => {
+  clearTimeout(searchTimer);
+  const q = e.target.value.trim();
+  if (!q) {
+    searchResults = null;
+    renderSidebar();
+    return;
+  }
+  searchTimer = setTimeout(() => searchUsers(q), 250);
+});
+
+async function searchUsers(q) {
+  try {
+    const res = await apiFetch(`/users/search?q=${encodeURIComponent(q)}`);
+    if (!res.ok) return;
+    const list = await res.json();
+    if (document.getElementById("user-search").value.trim() !== q) return; // a newer query is on its way
+    list.forEach(profile => { profiles[profile.username] = profile; });
+    searchResults = list;
+    renderSidebar();
+  } catch (err) {
+    console.error("User search failed", err);
+  }
+}
+
+async function loadGroups() {
+  try {
+    const res = await apiFetch("/groups");
+    const list = await res.json();
+    myGroups = {};
+    list.forEach(group => { myGroups[group.groupId] = group; });
+    renderSidebar();
+  } catch (err) {
+    console.error("Failed to load groups", err);
+  }
+}
+
+async function loadUnread() {
+  try {
+    const res = await apiFetch("/unread");
+    unreadCounts = await res.json();
+    renderSidebar();
+  } catch (err) {
+    console.error("Failed to load unread counts", err);
   }
 }
 
+// Tells the server everything shown in the open conversation has been read
+function markConversationRead() {
+  if (!selectedRecipient) return;
+  const last = [...document.querySelectorAll("#chat-box .message.received[data-id]")].pop();
+  if (last) sendFrame("read", { peer: selectedRecipient, upTo: last.dataset.id });
+  delete unreadCounts[selectedRecipient];
+  renderSidebar();
+}
+
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) return;
+  missedWhileHidden = 0;
+  document.title = PAGE_TITLE;
+  markConversationRead();
+});
+
+// Fetched once per page load; avatars and names already on screen update when it arrives
+function loadProfile(name) {
+  if (!profileRequests[name]) {
+    profileRequests[name] = apiFetch(`/users/${encodeURIComponent(name)}`)
+      .then(res => (res.ok ? res.json() : { username: name }))
+      .catch(() => ({ username: name }))
+      .then(profile => {
+        profiles[name] = profile;
+        const selector = `[data-user="${CSS.escape(name)}"]`;
+        document.querySelectorAll(`.avatar${selector}`).forEach(el => fillAvatar(el, name));
+        document.querySelectorAll(`.display-name${selector}`).forEach(el => { el.textContent = displayName(name); });
+        return profile;
+      });
+  }
+  return profileRequests[name];
+}
+
+function displayName(name) {
+  return (profiles[name] && profiles[name].displayName) || name;
+}
+
+function fillAvatar(el, name) {
+  const profile = profiles[name];
+  el.dataset.user = name;
+  el.innerHTML = "";
+  if (profile && profile.avatar) {
+    const img = document.createElement("img");
+    img.src = `${profile.avatar}&token=${encodeURIComponent(authToken)}`;
+    img.alt = "";
+    el.appendChild(img);
+  } else {
+    el.textContent = name.charAt(0).toUpperCase();
+    if (!profile) loadProfile(name);
+  }
+}
+
+function avatarElement(name) {
+  const el = document.createElement("span");
+  el.className = "avatar";
+  fillAvatar(el, name);
+  return el;
+}
+
+function unreadBadge(id) {
+  const badge = document.createElement("span");
+  badge.className = "unread-badge";
+  badge.textContent = unreadCounts[id] > 99 ? "99+" : unreadCounts[id];
+  return badge;
+}
+
+// One sidebar row: avatar with an online dot (or the group icon), name, last-message preview and unread badge
+function sidebarItem(id, { name, preview = "" } = {}) {
+  const group = isGroupId(id);
+  const el = document.createElement("div");
+  el.className = group ? "user-item group-item" : "user-item";
+
+  let icon;
+  if (group) {
+    icon = document.createElement("img");
+    icon.src = "/images/group-icon.png";
+    icon.alt = "";
+    icon.className = "group-icon";
+  } else {
+    icon = document.createElement("span");
+    icon.className = "avatar-wrap";
+    icon.appendChild(avatarElement(id));
+    const state = presence[id];
+    if (state && state.status !== "offline") {
+      const dot = document.createElement("span");
+      dot.className = "online-dot";
+      dot.dataset.status = state.status;
+      dot.title = presenceLabel(state);
+      icon.appendChild(dot);
+    }
+  }
+
+  const text = document.createElement("div");
+  text.className = "item-text";
+  const title = document.createElement("span");
+  if (group) {
+    title.textContent = name;
+  } else {
+    title.className = "display-name";
+    title.dataset.user = id;
+    title.textContent = displayName(id);
+  }
+  text.appendChild(title);
+  if (preview) {
+    const line = document.createElement("span");
+    line.className = "preview";
+    line.textContent = preview;
+    text.appendChild(line);
+  }
+
+  el.append(icon, text);
+  if (mutes[id]) {
+    const muted = document.createElement("span");
+    muted.className = "muted-icon";
+    muted.title = "Muted";
+    muted.textContent = "🔕";
+    el.appendChild(muted);
+  }
+  if (unreadCounts[id]) el.appendChild(unreadBadge(id));
+  el.onclick = () => openConversation(id, group ? name : displayName(id));
+  return el;
+}
+
+// Search results while #user-search has text; otherwise conversations by recent activity,
+// then groups without messages yet, then online people we haven't talked to
+function renderSidebar() {
+  const container = document.getElementById("user-items-container");
+  container.innerHTML = "";
+
+  if (searchResults) {
+    if (!searchResults.length) {
+      const empty = document.createElement("div");
+      empty.className = "sidebar-empty";
+      empty.textContent = "No users found";
+      container.appendChild(empty);
+    }
+    searchResults.forEach(profile => container.appendChild(sidebarItem(profile.username, { preview: profile.bio || "" })));
+    return;
+  }
+
+  const listed = new Set();
+  conversationList.forEach(entry => {
+    listed.add(entry.id);
+    const name = myGroups[entry.id] ? myGroups[entry.id].name : entry.name;
+    container.appendChild(sidebarItem(entry.id, { name, preview: previewText(entry) }));
+  });
+
+  Object.values(myGroups).forEach(group => {
+    if (listed.has(group.groupId)) return;
+    listed.add(group.groupId);
+    container.appendChild(sidebarItem(group.groupId, { name: group.name }));
+  });
+
+  // Presence only covers contacts, group members and bots, so this is people we know (or a bot) who are around
+  Object.entries(presence).forEach(([user, state]) => {
+    if (state.status !== "offline" && !listed.has(user)) container.appendChild(sidebarItem(user));
+  });
+}
+
+// `around` opens the chat on an older message (a search hit) instead of the latest page
+async function openConversation(id, title, { around } = {}) {
+  selectedRecipient = id;
+  document.getElementById("chat-box").innerHTML = "";
+  document.getElementById("chat-title").textContent = title;
+  renderPresenceHeader();
+  document.getElementById("group-actions-btn").hidden = !isGroupId(id);
+  renderConversationControls();
+  unreadOnOpen = unreadCounts[id] || 0;
+  document.getElementById("summary-panel").hidden = true;
+  closeThread();
+  cancelReply();
+
+  oldestMessageId = null;
+  hasMoreHistory = false;
+  newestMessageId = null;
+  hasNewerHistory = false;
+  if (around) await loadAround(around);
+  else await loadOlderMessages();
+  if (!document.hidden && !hasNewerHistory) markConversationRead();
+  loadMoodTrend();
+}
+
+// Fetches the page before the oldest rendered message; the first call loads the latest page
+async function loadOlderMessages() {
+  if (loadingHistory || !selectedRecipient) return;
+  const conversation = selectedRecipient;
+  loadingHistory = true;
+  try {
+    let url = `/history?peer=${encodeURIComponent(conversation)}`;
+    if (oldestMessageId) url += `&before=${encodeURIComponent(oldestMessageId)}`;
+    const res = await apiFetch(url);
+    const { messages, hasMore } = await res.json();
+    await decryptAll(messages);
+    if (conversation !== selectedRecipient) return; // user switched chats meanwhile
+
+    const box = document.getElementById("chat-box");
+    const firstPage = !oldestMessageId;
+    const previousHeight = box.scrollHeight;
+    // Prepend newest-first so the page ends up in chronological order above what's shown
+    if (firstPage) messages.forEach(msg => renderMessage(msg));
+    else [...messages].reverse().forEach(msg => renderMessage(msg, { prepend: true }));
+    if (messages.length) oldestMessageId = messages[0].id;
+    hasMoreHistory = hasMore;
+    // Keep the message the user was looking at in place
+    box.scrollTop = firstPage ? box.scrollHeight : box.scrollHeight - previousHeight;
+  } catch (err) {
+    console.error("Failed to load chat history", err);
+  } finally {
+    loadingHistory = false;
+  }
+}
+
+// Loads the page of history centred on one message and highlights it
+async function loadAround(messageId) {
+  const conversation = selectedRecipient;
+  loadingHistory = true;
+  try {
+    const res = await apiFetch(`/history?peer=${encodeURIComponent(conversation)}&around=${encodeURIComponent(messageId)}`);
+    if (!res.ok) throw new Error((await res.json()).error);
+    const { messages, hasMore, hasMoreAfter } = await res.json();
+    await decryptAll(messages);
+    if (conversation !== selectedRecipient) return;
+
+    messages.forEach(msg => renderMessage(msg));
+    oldestMessageId = messages[0].id;
+    hasMoreHistory = hasMore;
+    newestMessageId = messages[messages.length - 1].id;
+    hasNewerHistory = hasMoreAfter;
+
+    const target = document.querySelector(`.message[data-id="${CSS.escape(messageId)}"]`);
+    if (target) highlightMessage(target);
+  } catch (err) {
+    console.error("Failed to load message context", err);
+    renderStatus("⚠️ That message is no longer available");
+  } finally {
+    loadingHistory = false;
+  }
+}
+
+function highlightMessage(el) {
+  el.scrollIntoView({ block: "center" });
+  el.classList.add("jump-target");
+  setTimeout(() => el.classList.remove("jump-target"), 3000);
+}
+
+// Clicking a quote shows the original: in place when it's loaded, otherwise with the history around it
+function jumpToMessage(id) {
+  const target = document.querySelector(`#chat-box .message[data-id="${CSS.escape(id)}"]`);
+  if (target) return highlightMessage(target);
+  openConversation(selectedRecipient, document.getElementById("chat-title").textContent, { around: id });
+}
+
+// Fills the gap between a search hit and the present as the user scrolls down
+async function loadNewerMessages() {
+  if (loadingHistory || !selectedRecipient || !newestMessageId) return;
+  const conversation = selectedRecipient;
+  loadingHistory = true;
+  try {
+    const res = await apiFetch(`/history?peer=${encodeURIComponent(conversation)}&after=${encodeURIComponent(newestMessageId)}`);
+    const { messages, hasMore } = await res.json();
+    await decryptAll(messages);
+    if (conversation !== selectedRecipient) return;
+
+    const box = document.getElementById("chat-box");
+    const scrollTop = box.scrollTop;
+    messages.forEach(msg => renderMessage(msg));
+    box.scrollTop = scrollTop;
+    if (messages.length) newestMessageId = messages[messages.length - 1].id;
+    hasNewerHistory = hasMore;
+    if (!hasNewerHistory && !document.hidden) markConversationRead();
+  } catch (err) {
+    console.error("Failed to load newer messages", err);
+  } finally {
+    loadingHistory = false;
+  }
+}
+
+document.getElementById("chat-box")?.addEventListener("scroll", (e) => {
+  const box = e.target;
+  if (box.scrollTop < 50 && hasMoreHistory) loadOlderMessages();
+  else if (box.scrollHeight - box.scrollTop - box.clientHeight < 50 && hasNewerHistory) loadNewerMessages();
+});
+
+function closeConversation() {
+  selectedRecipient = null;
+  closeThread();
+  cancelReply();
+  document.getElementById("chat-box").innerHTML = "";
+  document.getElementById("chat-title").textContent = "Select a user to chat";
+  renderPresenceHeader();
+  document.getElementById("group-actions-btn").hidden = true;
+  renderConversationControls();
+  moodTrend = [];
+  renderMoodTrend();
+}
+
+function parseUsernames(input) {
+  return (input || "").split(",").map(name => name.trim()).filter(Boolean);
+}
+
+document.getElementById("new-group-btn")?.addEventListener("click", () => {
+  const name = prompt("Group name:");
+  if (!name) return;
+  const members = parseUsernames(prompt("Invite members (comma separated usernames):"));
+  sendFrame("group-create", { name, members });
+});
+
+document.getElementById("group-actions-btn")?.addEventListener("click", () => {
+  const group = myGroups[selectedRecipient];
+  if (!group) return;
+
+  const roster = group.members.map(m => (m.role === "member" ? m.username : `${m.username} (${m.role})`)).join(", ");
+  const action = prompt(`Members: ${roster}\n\nType one of: invite, remove, admin, rename, leave`);
+  const groupId = group.groupId;
+
+  if (action === "invite") {
+    const members = parseUsernames(prompt("Usernames to invite (comma separated):"));
+    if (members.length) sendFrame("group-invite", { groupId, members });
+  } else if (action === "remove") {
+    const member = prompt("Username to remove:");
+    if (member) sendFrame("group-remove", { groupId, member: member.trim() });
+  } else if (action === "admin") {
+    const member = prompt("Username to make admin (prefix with - to demote):");
+    if (member) {
+      const demote = member.trim().startsWith("-");
+      sendFrame("group-role", { groupId, member: member.trim().replace(/^-/, ""), role: demote ? "member" : "admin" });
+    }
+  } else if (action === "rename") {
+    const name = prompt("New group name:", group.name);
+    if (name) sendFrame("group-rename", { groupId, name });
+  } else if (action === "leave") {
+    if (confirm(`Leave ${group.name}?`)) sendFrame("group-leave", { groupId });
+  }
+});
+
 function renderStatus(text) {
   const status = document.createElement("div");
   status.className = "message status";
@@ -113,48 +804,598 @@ function renderStatus(text) {
   document.getElementById("chat-box").appendChild(status);
 }
 
-function renderMessage({ sender, message, timestamp }) {
+const TICKS = { pending: "🕓", sent: "✓", delivered: "✓✓", read: "✓✓", failed: "⚠️" };
+const TICK_ORDER = ["pending", "sent", "delivered", "read"];
+
+// Receipts can arrive out of order, so a status only ever moves forward (failed is final)
+function setTicks(el, status) {
+  const current = el.dataset.status;
+  if (current === "failed" || TICK_ORDER.indexOf(status) < TICK_ORDER.indexOf(current)) return;
+  el.dataset.status = status;
+  const ticks = el.querySelector(".ticks");
+  if (ticks) {
+    ticks.textContent = TICKS[status];
+    ticks.className = `ticks ${status}`;
+  }
+}
+
+function messageStatus({ id, deliveredTo = [], readBy = [] }) {
+  if (readBy.some(user => user !== username)) return "read";
+  if (deliveredTo.some(user => user !== username)) return "delivered";
+  return id ? "sent" : "pending";
+}
+
+// <img> tags can't send the Authorization header, so attachment URLs carry the token
+function attachmentUrl(id, { thumbnail = false } = {}) {
+  return `/attachments/${encodeURIComponent(id)}${thumbnail ? "/thumbnail" : ""}?token=${encodeURIComponent(authToken)}`;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Images show their thumbnail and open full size; other files get a download card
+function renderAttachment(container, attachment) {
+  const id = attachment ? attachment.id : "";
+  if (container.dataset.id === id) return; // don't reload the image on every receipt or reaction
+  container.dataset.id = id;
+  container.innerHTML = "";
+  if (!attachment) return;
+
+  const link = document.createElement("a");
+  link.href = attachmentUrl(attachment.id);
+  link.target = "_blank";
+  link.rel = "noopener";
+  if (attachment.thumbnail) {
+    link.className = "attachment-image";
+    const img = document.createElement("img");
+    img.src = attachmentUrl(attachment.id, { thumbnail: true });
+    img.alt = attachment.name;
+    img.loading = "lazy";
+    link.appendChild(img);
+  } else {
+    link.className = "file-card";
+    link.download = attachment.name;
+    const name = document.createElement("span");
+    name.textContent = `📄 ${attachment.name}`;
+    const size = document.createElement("span");
+    size.className = "file-size";
+    size.textContent = formatSize(attachment.size);
+    link.append(name, size);
+  }
+  container.appendChild(link);
+}
+
+// Everything about a bubble that can change after it's first shown
+function fillMessage(el, msg) {
+  const content = el.querySelector(".content");
+  if (msg.deletedAt) {
+    el.classList.add("deleted");
+    content.textContent = "🚫 This message was deleted";
+  } else if (typeof msg.message === "string") {
+    content.textContent = msg.message;
+  }
+
+  renderAttachment(el.querySelector(".attachment"), msg.deletedAt ? null : msg.attachment);
+  el.classList.toggle("encrypted", Boolean(msg.encrypted));
+  el.classList.toggle("unencrypted-command", Boolean(msg.command));
+  el.classList.toggle("flagged", Boolean(msg.flags && msg.flags.length) && !msg.deletedAt);
+  el.title = el.classList.contains("flagged") ? `Flagged by moderation: ${msg.flags.join(", ")}` : "";
+
+  // A translation only belongs to the text it was made from
+  const translation = el.querySelector(".translation");
+  if (translation.dataset.source !== undefined && translation.dataset.source !== (msg.deletedAt ? "" : msg.message)) {
+    translation.hidden = true;
+    translation.textContent = "";
+    delete translation.dataset.source;
+  }
+
+  const edited = el.querySelector(".edited");
+  edited.hidden = !msg.editedAt || Boolean(msg.deletedAt);
+  edited.title = (msg.edits || []).map(e => e.message).join("\n");
+
+  const reactions = el.querySelector(".reactions");
+  reactions.innerHTML = "";
+  for (const [emoji, users] of Object.entries(msg.reactions || {})) {
+    const chip = document.createElement("button");
+    chip.className = users.includes(username) ? "reaction mine" : "reaction";
+    chip.dataset.emoji = emoji;
+    chip.title = users.join(", ");
+    chip.textContent = `${emoji} ${users.length}`;
+    reactions.appendChild(chip);
+  }
+
+  // What a reply quotes never changes, and update frames don't carry the preview, so it's only ever set
+  if (msg.replyPreview) {
+    const quote = el.querySelector(".quote");
+    quote.dataset.id = msg.replyPreview.id;
+    quote.textContent = quoteText(msg.replyPreview);
+    quote.hidden = false;
+  }
+
+  const threadCount = el.querySelector(".thread-count");
+  threadCount.hidden = !msg.replyCount;
+  if (msg.replyCount) threadCount.textContent = `🧵 ${msg.replyCount} ${msg.replyCount === 1 ? "reply" : "replies"}`;
+
+  if (msg.sender === username) setTicks(el, messageStatus(msg));
+}
+
+// `box` is #chat-box unless given; thread replies never go there, only into the thread panel while it's open
+function renderMessage(msg, { prepend = false, box = document.getElementById("chat-box") } = {}) {
+  const { id, clientId, sender, timestamp } = msg;
+  if (msg.threadId && box.id === "chat-box") {
+    if (msg.threadId !== openThreadId) return;
+    box = document.getElementById("thread-box");
+  }
+  // History pages, sync replays and acked resends update the bubble that's already on screen
+  const existing = (id && box.querySelector(`.message[data-id="${CSS.escape(id)}"]`)) ||
+    (clientId && box.querySelector(`.message[data-client-id="${CSS.escape(clientId)}"]`));
+  if (existing) {
+    if (id) existing.dataset.id = id;
+    fillMessage(existing, msg);
+    return;
+  }
   const templateId = sender === username ? "message-template-sent" : "message-template-received";
   const template = document.getElementById(templateId);
   const clone = template.content.cloneNode(true);
+  const el = clone.querySelector(".message");
+  if (id) el.dataset.id = id;
+  if (clientId) el.dataset.clientId = clientId;
 
-  clone.querySelector(".content").textContent = message;
-  const meta = clone.querySelector(".meta");
   const time = new Date(timestamp || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-  meta.textContent = time;
+  clone.querySelector(".time").textContent = time;
 
+  fillAvatar(clone.querySelector(".avatar"), sender);
   if (sender !== username) {
-    clone.querySelector(".sender").textContent = sender;
+    const senderEl = clone.querySelector(".sender");
+    senderEl.dataset.user = sender;
+    senderEl.textContent = displayName(sender);
   }
+  fillMessage(el, msg);
 
-  const box = document.getElementById("chat-box");
-  box.appendChild(clone);
-  box.scrollTop = box.scrollHeight;
+  if (prepend) {
+    box.insertBefore(clone, box.firstChild);
+  } else {
+    box.appendChild(clone);
+    box.scrollTop = box.scrollHeight;
+  }
+}
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+function toggleReactionPicker(el) {
+  const open = el.querySelector(".reaction-picker");
+  if (open) return open.remove();
+  const picker = document.createElement("div");
+  picker.className = "reaction-picker";
+  QUICK_REACTIONS.forEach(emoji => {
+    const button = document.createElement("button");
+    button.className = "reaction";
+    button.dataset.emoji = emoji;
+    button.textContent = emoji;
+    picker.appendChild(button);
+  });
+  el.appendChild(picker);
+}
+
+// Message actions, in the chat and the thread panel; bubbles still waiting for their ack have no id to act on yet
+function handleMessageClick(e) {
+  const quote = e.target.closest(".quote");
+  if (quote) return jumpToMessage(quote.dataset.id);
+  const button = e.target.closest("button");
+  const el = button && button.closest(".message");
+  if (!el || !el.dataset.id) return;
+  const id = el.dataset.id;
+
+  if (button.classList.contains("reply-btn")) {
+    startReply(el);
+  } else if (button.classList.contains("thread-btn") || button.classList.contains("thread-count")) {
+    openThread(id);
+  } else if (button.classList.contains("reaction")) {
+    sendFrame("react", { id, emoji: button.dataset.emoji });
+    el.querySelector(".reaction-picker")?.remove();
+  } else if (button.classList.contains("react-btn")) {
+    toggleReactionPicker(el);
+  } else if (button.classList.contains("translate-btn")) {
+    translateMessage(el);
+  } else if (button.classList.contains("report-btn")) {
+    reportMessage(id);
+  } else if (button.classList.contains("edit-btn")) {
+    const current = el.querySelector(".content").textContent;
+    const text = prompt("Edit message:", current);
+    if (text && text.trim() && text.trim() !== current) sendFrame("edit", { id, message: text.trim() });
+  } else if (button.classList.contains("delete-btn")) {
+    if (el.classList.contains("received") || el.classList.contains("deleted")) {
+      if (confirm("Delete this message for you?")) sendFrame("delete", { id, scope: "me" });
+      return;
+    }
+    const scope = prompt('Delete for "me" or "everyone"?', "everyone");
+    if (scope === "me" || scope === "everyone") sendFrame("delete", { id, scope });
+  }
+}
+
+document.getElementById("chat-box")?.addEventListener("click", handleMessageClick);
+document.getElementById("thread-box")?.addEventListener("click", handleMessageClick);
+
+// --- Replies and threads ---
+
+// The preview is built from the bubble, the same way the server builds it for everyone else
+function startReply(el) {
+  const preview = {
+    id: el.dataset.id,
+    sender: el.classList.contains("sent") ? username : el.querySelector(".sender").dataset.user,
+    message: el.querySelector(".content").textContent
+  };
+  replyingTo = { id: preview.id, preview };
+  document.getElementById("reply-bar-text").textContent = `↩️ ${quoteText(preview)}`;
+  document.getElementById("reply-bar").hidden = false;
+  messageInput.focus();
+}
+
+function cancelReply() {
+  replyingTo = null;
+  document.getElementById("reply-bar").hidden = true;
+}
+
+document.getElementById("reply-cancel")?.addEventListener("click", cancelReply);
+
+async function openThread(id) {
+  openThreadId = id;
+  oldestReplyId = null;
+  hasMoreReplies = false;
+  document.getElementById("thread-root").innerHTML = "";
+  document.getElementById("thread-box").innerHTML = "";
+  document.getElementById("thread-panel").hidden = false;
+  await loadOlderReplies();
+}
+
+function closeThread() {
+  openThreadId = null;
+  document.getElementById("thread-panel").hidden = true;
+  document.getElementById("thread-root").innerHTML = "";
+  document.getElementById("thread-box").innerHTML = "";
+}
+
+// The first call loads the root and the latest replies; later ones page back like loadOlderMessages
+async function loadOlderReplies() {
+  if (loadingReplies || !openThreadId) return;
+  const threadId = openThreadId;
+  loadingReplies = true;
+  try {
+    let url = `/messages/${encodeURIComponent(threadId)}/thread`;
+    if (oldestReplyId) url += `?before=${encodeURIComponent(oldestReplyId)}`;
+    const res = await apiFetch(url);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    await decryptAll([data.root, ...data.messages]);
+    if (threadId !== openThreadId) return;
+
+    const box = document.getElementById("thread-box");
+    const firstPage = !oldestReplyId;
+    const previousHeight = box.scrollHeight;
+    if (firstPage) {
+      renderMessage(data.root, { box: document.getElementById("thread-root") });
+      data.messages.forEach(msg => renderMessage(msg, { box }));
+    } else {
+      [...data.messages].reverse().forEach(msg => renderMessage(msg, { box, prepend: true }));
+    }
+    if (data.messages.length) oldestReplyId = data.messages[0].id;
+    hasMoreReplies = data.hasMore;
+    box.scrollTop = firstPage ? box.scrollHeight : box.scrollHeight - previousHeight;
+  } catch (err) {
+    closeThread();
+    renderStatus(`⚠️ ${err.message}`);
+  } finally {
+    loadingReplies = false;
+  }
+}
+
+document.getElementById("thread-box")?.addEventListener("scroll", (e) => {
+  if (e.target.scrollTop < 50 && hasMoreReplies) loadOlderReplies();
+});
+
+document.getElementById("thread-close")?.addEventListener("click", closeThread);
+
+const threadInput = document.getElementById("thread-message");
+
+document.getElementById("thread-send")?.addEventListener("click", () => {
+  const text = threadInput.value.trim();
+  if (!text || !selectedRecipient || !openThreadId) return;
+  threadInput.value = "";
+  sendMessage(text, { threadId: openThreadId }).then(sent => {
+    if (!sent && !threadInput.value) threadInput.value = text;
+  });
+});
+
+threadInput?.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") document.getElementById("thread-send").click();
+});
+
+// --- Summaries and translations ---
+const summaryPanel = document.getElementById("summary-panel");
+
+document.getElementById("summarize-btn")?.addEventListener("click", () => {
+  if (!selectedRecipient) return alert("Open a chat first");
+  summaryPanel.hidden = !summaryPanel.hidden;
+  const unreadBtn = document.getElementById("summarize-unread");
+  unreadBtn.hidden = !unreadOnOpen;
+  unreadBtn.textContent = `What I missed (${unreadOnOpen})`;
+  if (!summaryPanel.hidden) document.getElementById("summary-text").textContent = "";
+});
+
+document.getElementById("summary-close")?.addEventListener("click", () => {
+  summaryPanel.hidden = true;
+});
+
+// Opening the chat already marked it read, so "what I missed" asks for the last unreadOnOpen messages
+document.getElementById("summarize-unread")?.addEventListener("click", () => summarizeConversation({ limit: unreadOnOpen }));
+document.getElementById("summarize-recent")?.addEventListener("click", () => summarizeConversation({ limit: 50 }));
+
+async function summarizeConversation(body) {
+  const output = document.getElementById("summary-text");
+  output.textContent = "Summarizing…";
+  try {
+    const res = await apiFetch(`/conversations/${encodeURIComponent(selectedRecipient)}/summarize`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    output.textContent = data.summary || "Nothing to summarize yet";
+  } catch (err) {
+    output.textContent = `⚠️ ${err.message}`;
+  }
+}
+
+// The first translation asks for a language and remembers it; the button then toggles the translation
+function translationLanguage() {
+  let language = localStorage.getItem("translateTo");
+  if (!language) {
+    language = prompt("Translate into (language code):", (navigator.language || "es").slice(0, 2));
+    if (!language) return null;
+    localStorage.setItem("translateTo", language.trim().toLowerCase());
+  }
+  return localStorage.getItem("translateTo");
+}
+
+async function translateMessage(el) {
+  const translation = el.querySelector(".translation");
+  if (translation.dataset.source !== undefined) {
+    translation.hidden = !translation.hidden;
+    return;
+  }
+  const language = translationLanguage();
+  if (!language) return;
+  try {
+    const res = await apiFetch(`/messages/${encodeURIComponent(el.dataset.id)}/translate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ language }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      // Let the user pick another language next time
+      if (res.status === 400) localStorage.removeItem("translateTo");
+      throw new Error(data.error);
+    }
+    translation.textContent = `${data.language}: ${data.text}`;
+    translation.dataset.source = el.querySelector(".content").textContent;
+    translation.hidden = false;
+  } catch (err) {
+    alert(`Translation failed: ${err.message}`);
+  }
+}
+
+// --- Message search ---
+const searchPanel = document.getElementById("search-panel");
+let searchCursor = null; // id of the last hit shown, for "Load more"
+let searchDebounce = null;
+
+document.getElementById("search-btn")?.addEventListener("click", () => {
+  searchPanel.hidden = !searchPanel.hidden;
+  if (!searchPanel.hidden) document.getElementById("search-query").focus();
+});
+
+document.getElementById("search-close")?.addEventListener("click", () => {
+  searchPanel.hidden = true;
+});
+
+searchPanel?.addEventListener("input", () => {
+  clearTimeout(searchDebounce);
+  searchDebounce = setTimeout(() => searchMessages(), 300);
+});
+
+function searchParams() {
+  const params = new URLSearchParams({ q: document.getElementById("search-query").value.trim() });
+  const sender = document.getElementById("search-sender").value.trim();
+  const from = document.getElementById("search-from").value;
+  const to = document.getElementById("search-to").value;
+  if (sender) params.set("sender", sender);
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  if (document.getElementById("search-this-chat").checked && selectedRecipient) params.set("peer", selectedRecipient);
+  return params;
+}
+
+// A new query replaces the results; `more` appends the next page
+async function searchMessages({ more = false } = {}) {
+  const results = document.getElementById("search-results");
+  const params = searchParams();
+  if (!params.get("q")) {
+    results.innerHTML = "";
+    return;
+  }
+  if (more && searchCursor) params.set("before", searchCursor);
+  const query = params.toString();
+  try {
+    const res = await apiFetch(`/search?${query}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    if (!more) {
+      results.innerHTML = "";
+      if (!data.results.length) results.textContent = "No messages found";
+    }
+    results.querySelector(".load-more")?.remove();
+    data.results.forEach(hit => results.appendChild(searchResultItem(hit)));
+    searchCursor = data.results.length ? data.results[data.results.length - 1].id : null;
+    if (data.hasMore) {
+      const button = document.createElement("button");
+      button.className = "header-btn load-more";
+      button.textContent = "Load more";
+      button.onclick = () => searchMessages({ more: true });
+      results.appendChild(button);
+    }
+  } catch (err) {
+    results.textContent = `⚠️ ${err.message}`;
+  }
+}
+
+// Builds the snippet from text nodes and <mark>s, so message text is never parsed as HTML
+function highlightedSnippet({ text, highlights }) {
+  const span = document.createElement("span");
+  let position = 0;
+  highlights.forEach(([start, end]) => {
+    span.append(text.slice(position, start));
+    const mark = document.createElement("mark");
+    mark.textContent = text.slice(start, end);
+    span.appendChild(mark);
+    position = end;
+  });
+  span.append(text.slice(position));
+  return span;
+}
+
+function searchResultItem(hit) {
+  const el = document.createElement("div");
+  el.className = "search-result";
+  const where = isGroupId(hit.peer) ? (myGroups[hit.peer] ? myGroups[hit.peer].name : "Group") : displayName(hit.peer);
+  const when = new Date(hit.timestamp).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+  const meta = document.createElement("div");
+  meta.className = "result-meta";
+  meta.textContent = `${where} · ${hit.sender === username ? "You" : displayName(hit.sender)} · ${when}`;
+  el.append(meta, highlightedSnippet(hit.snippet));
+  el.onclick = () => openConversation(hit.peer, where, { around: hit.id });
+  return el;
 }
 
 const sendBtn = document.getElementById("send-btn");
 const messageInput = document.getElementById("message");
 
-sendBtn?.addEventListener("click", () => {
-  const text = messageInput.value.trim();
-  if (!text || !selectedRecipient) return;
+// `replyTo` is the { id, preview } being quoted; `threadId` posts into that message's side thread.
+// Resolves to false when the message couldn't be encrypted and wasn't sent.
+async function sendMessage(text, { replyTo = null, threadId = null } = {}) {
+  // Browsers only let a page ask from a user action, and sending is the first one that suggests they want them
+  if ("Notification" in window && Notification.permission === "default") Notification.requestPermission();
 
+  const recipient = selectedRecipient;
+  // Bots can't read an encrypted message, so a command goes out in the clear to be answered just for us
+  const command = encryptedChats.has(recipient) && COMMAND_PATTERN.test(text);
+  let encrypted;
+  if (encryptedChats.has(recipient) && !command) {
+    try {
+      encrypted = await encryptFor(recipient, text);
+    } catch (err) {
+      renderStatus(`🔒 Not sent: ${err.message}`);
+      return false;
+    }
+  }
   const payload = {
     type: "message",
-    sender: username,
-    recipient: selectedRecipient,
-    message: text,
+    clientId: crypto.randomUUID(), // matched against the server's ack
+    sender: username, // display only, the server uses the authenticated user
+    recipient,
+    message: text, // display only when encrypted
+    encrypted,
+    replyTo: replyTo ? replyTo.id : undefined,
+    replyPreview: replyTo ? replyTo.preview : undefined, // display only, the server sends its own
+    threadId: threadId || undefined,
+    command: command || undefined,
     timestamp: Date.now()
   };
-  socket.send(JSON.stringify(payload));
-  renderMessage(payload); // show own msg
+  if (encrypted) {
+    // Only the two ends can score it
+    const { mood, score } = ChatMood.analyzeMood(text);
+    Object.assign(payload, { mood, moodScore: score });
+  }
+  // Kept until acked so it's resent after a reconnect; the server drops duplicates by clientId
+  outbox.set(payload.clientId, payload);
+  sendQueued(payload);
+  noteActivity(payload);
+  if (command) renderStatus("🔓 Commands go to the bots unencrypted");
+  if (recipient !== selectedRecipient) return true; // switched chats while encrypting
+  if (hasNewerHistory && !threadId) {
+    // Back to the present first, so the new message doesn't land after an old stretch of history
+    openConversation(selectedRecipient, document.getElementById("chat-title").textContent).then(() => renderMessage(payload));
+  } else {
+    renderMessage(payload); // show own msg
+  }
+  return true;
+}
+
+sendBtn?.addEventListener("click", async () => {
+  const text = messageInput.value.trim();
+  if (!text || !selectedRecipient) return;
+  const replyTo = replyingTo;
+  cancelReply();
   messageInput.value = "";
+  // Put back what couldn't be sent, unless something new was typed meanwhile
+  if (!(await sendMessage(text, { replyTo })) && !messageInput.value) messageInput.value = text;
+});
+
+const attachmentInput = document.getElementById("attachment-input");
+
+document.getElementById("attachment-btn")?.addEventListener("click", () => {
+  if (!selectedRecipient) return renderStatus("⚠️ Pick a conversation first");
+  if (encryptedChats.has(selectedRecipient)) return renderStatus("🔒 Files can't be sent in encrypted chats");
+  attachmentInput.click();
 });
 
+// Uploads first, then shares the stored file with whatever is typed as its caption
+attachmentInput?.addEventListener("change", async () => {
+  const file = attachmentInput.files[0];
+  attachmentInput.value = "";
+  if (!file || !selectedRecipient) return;
+  const recipient = selectedRecipient;
+  // Files aren't encrypted, so they'd be the one thing in the chat the server can read
+  if (encryptedChats.has(recipient)) return renderStatus("🔒 Files can't be sent in encrypted chats");
+
+  const form = new FormData();
+  form.append("peer", recipient);
+  form.append("file", file);
+  try {
+    const res = await apiFetch("/attachments", { method: "POST", body: form });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Upload failed");
+
+    const payload = {
+      type: "attachment",
+      clientId: crypto.randomUUID(),
+      sender: username,
+      recipient,
+      attachmentId: data.id,
+      attachment: data, // display only, the server attaches its own copy
+      message: messageInput.value.trim(),
+      timestamp: Date.now()
+    };
+    outbox.set(payload.clientId, payload);
+    sendQueued(payload);
+    noteActivity(payload);
+    if (recipient === selectedRecipient) renderMessage(payload);
+    messageInput.value = "";
+  } catch (err) {
+    renderStatus(`⚠️ ${file.name}: ${err.message}`);
+  }
+});
+
+let lastTypingSent = 0;
 messageInput?.addEventListener("keydown", (e) => {
   if (e.key === "Enter") sendBtn.click();
-  else if (selectedRecipient) {
-    socket.send(JSON.stringify({ type: "typing", sender: username, recipient: selectedRecipient }));
+  else if (selectedRecipient && Date.now() - lastTypingSent > TYPING_THROTTLE_MS) {
+    lastTypingSent = Date.now();
+    sendFrame("typing", { recipient: selectedRecipient });
   }
 });
 
@@ -175,14 +1416,564 @@ function showTypingIndicator(sender) {
 }
 
 
-function updateEmoji(mood) {
-  const emojiMap = {
-    happy: "😄",
-    sad: "😢",
-    angry: "😠",
-    neutral: "😐"
-    very angry:"😡" //updated on 5th may
+// --- Blocks, mutes, reports and notifications ---
+
+async function loadPrivacy() {
+  try {
+    const [blocks, muteList] = await Promise.all([apiFetch("/blocks"), apiFetch("/mutes")].map(p => p.then(res => res.json())));
+    blockedUsers = new Set(blocks.map(b => b.username));
+    mutes = {};
+    muteList.forEach(m => { mutes[m.peer] = m.until || true; });
+    renderConversationControls();
+    renderSidebar();
+  } catch (err) {
+    console.error("Failed to load blocks and mutes", err);
+  }
+}
+
+// Mute works for any chat, block only for direct ones
+function renderConversationControls() {
+  const muteBtn = document.getElementById("mute-btn");
+  const blockBtn = document.getElementById("block-btn");
+  if (!muteBtn || !blockBtn) return;
+  muteBtn.hidden = !selectedRecipient;
+  blockBtn.hidden = !selectedRecipient || isGroupId(selectedRecipient);
+  if (!selectedRecipient) return;
+  const muted = mutes[selectedRecipient];
+  muteBtn.textContent = muted ? "🔔" : "🔕";
+  muteBtn.title = !muted ? "Mute notifications" : muted === true ? "Unmute" : `Muted until ${new Date(muted).toLocaleString()}, click to unmute`;
+  const blocked = blockedUsers.has(selectedRecipient);
+  blockBtn.textContent = blocked ? "✅" : "🚫";
+  blockBtn.title = blocked ? "Unblock" : "Block";
+  renderEncryptionControls();
+}
+
+async function privacyRequest(url, method, body) {
+  const res = await apiFetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (res.ok) return res.status === 204 ? null : res.json();
+  const data = await res.json().catch(() => ({}));
+  throw new Error(data.error || "Request failed");
+}
+
+document.getElementById("mute-btn")?.addEventListener("click", async () => {
+  const peer = selectedRecipient;
+  if (!peer) return;
+  const url = `/conversations/${encodeURIComponent(peer)}/mute`;
+  try {
+    if (mutes[peer]) {
+      await privacyRequest(url, "DELETE");
+      delete mutes[peer];
+    } else {
+      const hours = prompt("Mute for how many hours? Leave empty to mute until you unmute.", "");
+      if (hours === null) return;
+      const until = hours.trim() ? new Date(Date.now() + Number(hours) * 3600 * 1000).toISOString() : undefined;
+      const muted = await privacyRequest(url, "PUT", { until });
+      mutes[peer] = muted.until || true;
+    }
+    renderConversationControls();
+    renderSidebar();
+  } catch (err) {
+    renderStatus(`⚠️ ${err.message}`);
+  }
+});
+
+document.getElementById("block-btn")?.addEventListener("click", async () => {
+  const peer = selectedRecipient;
+  if (!peer || isGroupId(peer)) return;
+  const blocked = blockedUsers.has(peer);
+  if (!blocked && !confirm(`Block ${displayName(peer)}? Neither of you will be able to message the other or see each other online.`)) return;
+  try {
+    await privacyRequest(`/blocks/${encodeURIComponent(peer)}`, blocked ? "DELETE" : "PUT");
+    if (blocked) blockedUsers.delete(peer);
+    else blockedUsers.add(peer);
+    renderConversationControls();
+    renderStatus(blocked ? `✅ Unblocked ${displayName(peer)}` : `🚫 Blocked ${displayName(peer)}`);
+  } catch (err) {
+    renderStatus(`⚠️ ${err.message}`);
+  }
+});
+
+async function reportMessage(id) {
+  const reason = prompt("Why are you reporting this message?", "");
+  if (!reason || !reason.trim()) return;
+  try {
+    await privacyRequest(`/messages/${encodeURIComponent(id)}/report`, "POST", { reason: reason.trim() });
+    renderStatus("🚩 Thanks, the report was sent to the admins");
+  } catch (err) {
+    renderStatus(`⚠️ ${err.message}`);
+  }
+}
+
+// Counts the message in the tab title while we're away, and shows a system notification if we allowed them
+function notifyMessage(msg, conversation) {
+  if (!document.hidden) return;
+  missedWhileHidden++;
+  document.title = `(${missedWhileHidden}) ${PAGE_TITLE}`;
+  if (myStatus.doNotDisturb || !("Notification" in window) || Notification.permission !== "granted") return;
+  const from = isGroupId(conversation) && myGroups[conversation]
+    ? `${displayName(msg.sender)} in ${myGroups[conversation].name}`
+    : displayName(msg.sender);
+  const notification = new Notification(from, { body: msg.attachment ? `📎 ${msg.attachment.name}` : msg.message, tag: conversation });
+  notification.onclick = () => {
+    window.focus();
+    const title = myGroups[conversation] ? myGroups[conversation].name : displayName(conversation);
+    openConversation(conversation, title);
+    notification.close();
   };
+}
+
+
+// --- End-to-end encryption ---
+// Each browser has an ECDH P-256 key pair and publishes the public half (GET/PUT /keys). Two users' keys give
+// both of them the same AES-GCM key, so the server only ever stores ciphertext and the two public keys it was
+// made with. Keys are trusted on first use; a different one later shows a warning until the user verifies it.
+
+const KEY_ALGORITHM = { name: "ECDH", namedCurve: "P-256" };
+const KEY_INFO = new TextEncoder().encode("chat-x direct message");
+const COMMAND_PATTERN = /^\/[a-z][a-z0-9_-]*(?:\s|$)/i; // the shape bots/index.js treats as a command
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// The SHA-256 of the key, in groups of four hex digits, for reading out to each other
+async function fingerprintOf(publicKey) {
+  const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", fromBase64(publicKey)));
+  const hex = Array.from(hash, b => b.toString(16).padStart(2, "0")).join("").toUpperCase();
+  return hex.match(/.{4}/g).join(" ");
+}
+
+function loadEncryptionState() {
+  encryptedChats = new Set(JSON.parse(localStorage.getItem(`e2eChats:${username}`) || "[]"));
+  knownKeys = JSON.parse(localStorage.getItem(`e2eKnownKeys:${username}`) || "{}");
+}
+
+function saveEncryptionState() {
+  localStorage.setItem(`e2eChats:${username}`, JSON.stringify([...encryptedChats]));
+  localStorage.setItem(`e2eKnownKeys:${username}`, JSON.stringify(knownKeys));
+}
+
+// Key pairs live in IndexedDB, which can hold the CryptoKey itself, so the private half is never exportable.
+// Runs `use` on the object store and resolves with its request's result once the transaction is done.
+function keyStore(mode, use) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open("chat-x", 1);
+    open.onupgradeneeded = () => open.result.createObjectStore("keyPairs");
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction("keyPairs", mode);
+      const request = use(tx.objectStore("keyPairs"));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = tx.onabort = () => {
+        db.close();
+        reject(tx.error || request.error);
+      };
+    };
+  });
+}
+
+// The key pair never leaves this browser; with `create` a missing one is made. Null when there's none.
+async function loadMyKeys({ create = false } = {}) {
+  if (myKeys) return myKeys;
+  let pair = await keyStore("readonly", store => store.get(username));
+  if (!pair && !create) return null;
+  if (!pair) {
+    // Not extractable only applies to the private key; the public one can still be published
+    pair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ["deriveBits"]);
+    await keyStore("readwrite", store => store.put(pair, username));
+  }
+  const publicKey = toBase64(await crypto.subtle.exportKey("spki", pair.publicKey));
+  myKeys = { privateKey: pair.privateKey, publicKey, fingerprint: await fingerprintOf(publicKey) };
+  return myKeys;
+}
+
+// Publishes this browser's key. Encrypted chats only work in the browser holding the published key, so another
+// browser's key is only removed if the user resets encryption, knowing what that costs
+async function setUpMyKey() {
+  const mine = await loadMyKeys({ create: true });
+  const res = await apiFetch(`/keys/${encodeURIComponent(username)}`);
+  const published = res.ok ? (await res.json()).publicKey : null;
+  if (published === mine.publicKey) return mine;
+  if (published) {
+    if (!confirm([
+      "Encrypted chats are set up in another browser and only work there.",
+      "",
+      "If you no longer have that browser, you can reset encryption to use it here. Encrypted messages sent so far can't be read anywhere after that, and the other browser can't send or read new ones.",
+      "",
+      "Reset encryption?",
+    ].join("\n"))) {
+      throw new Error("encrypted chats are set up in another browser and only work there");
+    }
+    const removed = await apiFetch("/keys", { method: "DELETE" });
+    if (!removed.ok) throw new Error((await removed.json()).error);
+  }
+  const put = await apiFetch("/keys", {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ publicKey: mine.publicKey }),
+  });
+  if (!put.ok) throw new Error((await put.json()).error);
+  return mine;
+}
+
+// Encryption was reset from another browser; this one's key no longer counts
+async function checkMyKey() {
+  const mine = await loadMyKeys();
+  if (!mine) return;
+  const res = await apiFetch(`/keys/${encodeURIComponent(username)}`);
+  if (res.status === 404 || (res.ok && (await res.json()).publicKey !== mine.publicKey)) {
+    renderStatus("🔑 Encryption was reset in another browser, so this one can't send or read new encrypted messages");
+  }
+}
+
+// Trust on first use: the first key seen for a peer is remembered, and a different one is flagged until verified
+async function checkPeerKey(peer, publicKey) {
+  const fingerprint = await fingerprintOf(publicKey);
+  const known = knownKeys[peer];
+  if (!known) {
+    knownKeys[peer] = { fingerprint, verified: false };
+  } else if (known.fingerprint !== fingerprint && known.pending !== fingerprint) {
+    known.pending = fingerprint;
+  } else {
+    return fingerprint;
+  }
+  saveEncryptionState();
+  renderEncryptionControls();
+  return fingerprint;
+}
+
+// The peer's published key, looked up once per page (and again after a keyChange)
+function peerKey(peer) {
+  if (!peerKeys[peer]) {
+    peerKeys[peer] = (async () => {
+      const res = await apiFetch(`/keys/${encodeURIComponent(peer)}`);
+      if (res.status === 404) throw new Error(`${displayName(peer)} hasn't set up encryption yet`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      return { publicKey: data.publicKey, fingerprint: await checkPeerKey(peer, data.publicKey) };
+    })();
+    peerKeys[peer].catch(() => delete peerKeys[peer]);
+  }
+  return peerKeys[peer];
+}
+
+// ECDH between our private key and theirs, stretched with HKDF into the AES key for the pair of us
+function sharedKey(peerPublicKey) {
+  if (!sharedKeys.has(peerPublicKey)) {
+    sharedKeys.set(peerPublicKey, (async () => {
+      const mine = await loadMyKeys();
+      const theirs = await crypto.subtle.importKey("spki", fromBase64(peerPublicKey), KEY_ALGORITHM, false, []);
+      const secret = await crypto.subtle.deriveBits({ name: "ECDH", public: theirs }, mine.privateKey, 256);
+      const material = await crypto.subtle.importKey("raw", secret, "HKDF", false, ["deriveKey"]);
+      return crypto.subtle.deriveKey(
+        { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(32), info: KEY_INFO },
+        material, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]
+      );
+    })());
+  }
+  return sharedKeys.get(peerPublicKey);
+}
+
+async function encryptFor(peer, text) {
+  const mine = await loadMyKeys();
+  if (!mine) throw new Error("this browser has no encryption key; turn encryption on again");
+  const theirs = await peerKey(peer);
+  if (knownKeys[peer] && knownKeys[peer].pending) throw new Error(`${displayName(peer)}'s key changed; verify it first`);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await sharedKey(theirs.publicKey), new TextEncoder().encode(text));
+  return { ciphertext: toBase64(ciphertext), iv: toBase64(iv), senderKey: mine.publicKey, recipientKey: theirs.publicKey };
+}
+
+// Fills in the text of an encrypted message, and the mood only the two ends can score; others are left alone
+async function decryptMessage(msg) {
+  if (!msg || !msg.encrypted || msg.deletedAt) return msg;
+  const { ciphertext, iv, senderKey, recipientKey } = msg.encrypted;
+  const [ours, theirs] = msg.sender === username ? [senderKey, recipientKey] : [recipientKey, senderKey];
+  try {
+    const mine = await loadMyKeys();
+    if (!mine || mine.publicKey !== ours) throw new Error("encrypted for a key this browser doesn't have");
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, await sharedKey(theirs), fromBase64(ciphertext));
+    msg.message = new TextDecoder().decode(plain);
+    const { mood, score } = ChatMood.analyzeMood(msg.message);
+    msg.mood = mood;
+    msg.moodScore = score;
+  } catch (err) {
+    console.warn(`Can't decrypt message ${msg.id}:`, err.message);
+    msg.message = "🔒 Encrypted message this browser can't read";
+  }
+  return msg;
+}
+
+const decryptAll = (messages) => Promise.all(messages.map(decryptMessage));
+
+function renderEncryptionControls() {
+  const e2eBtn = document.getElementById("e2e-btn");
+  const verifyBtn = document.getElementById("verify-btn");
+  const warning = document.getElementById("key-warning");
+  if (!e2eBtn || !verifyBtn || !warning) return;
+  const peer = selectedRecipient && !isGroupId(selectedRecipient) ? selectedRecipient : null;
+  const on = Boolean(peer) && encryptedChats.has(peer);
+  const known = peer && knownKeys[peer];
+  e2eBtn.hidden = !peer;
+  e2eBtn.textContent = on ? "🔒" : "🔓";
+  e2eBtn.title = on ? `Encrypted${known && known.verified ? " and verified" : ""}; click to stop encrypting` : "Encrypt this chat";
+  verifyBtn.hidden = !known;
+  const attachBtn = document.getElementById("attachment-btn");
+  if (attachBtn) {
+    attachBtn.disabled = on;
+    attachBtn.title = on ? "Files can't be sent in encrypted chats" : "";
+  }
+  warning.hidden = !(known && known.pending);
+  if (!warning.hidden) {
+    document.getElementById("key-warning-text").textContent =
+      `⚠️ ${displayName(peer)}'s encryption key changed. Check it with them before trusting new encrypted messages.`;
+  }
+}
+
+async function toggleEncryption() {
+  const peer = selectedRecipient;
+  if (!peer || isGroupId(peer)) return;
+  if (encryptedChats.has(peer)) {
+    if (!confirm(`Stop encrypting messages to ${displayName(peer)}? New messages will be readable on the server.`)) return;
+    encryptedChats.delete(peer);
+  } else {
+    if (!window.crypto || !crypto.subtle) return alert("Encryption needs the page to be served over https");
+    try {
+      await setUpMyKey();
+      delete peerKeys[peer];
+      await peerKey(peer);
+    } catch (err) {
+      return alert(`Can't encrypt this chat: ${err.message}`);
+    }
+    encryptedChats.add(peer);
+    renderStatus(`🔒 Messages to ${displayName(peer)} are now end-to-end encrypted`);
+  }
+  saveEncryptionState();
+  renderEncryptionControls();
+}
+
+// Fingerprints are compared over another channel; a changed key is only trusted once they match
+async function verifyKey() {
+  const peer = selectedRecipient;
+  const name = displayName(peer);
+  try {
+    delete peerKeys[peer];
+    const [mine, theirs] = await Promise.all([loadMyKeys(), peerKey(peer)]);
+    const changed = Boolean(knownKeys[peer].pending);
+    const match = confirm([
+      changed ? `⚠️ ${name}'s key changed since you last checked.` : `Compare these with ${name} in person or on a call.`,
+      "",
+      `Yours: ${mine ? mine.fingerprint : "no key in this browser"}`,
+      `${name}: ${theirs.fingerprint}`,
+      "",
+      `Do they match what ${name} sees?`,
+    ].join("\n"));
+    if (changed && !match) return;
+    knownKeys[peer] = { fingerprint: theirs.fingerprint, verified: match };
+    saveEncryptionState();
+    renderEncryptionControls();
+  } catch (err) {
+    alert(`Can't verify: ${err.message}`);
+  }
+}
+
+document.getElementById("e2e-btn")?.addEventListener("click", toggleEncryption);
+document.getElementById("verify-btn")?.addEventListener("click", verifyKey);
+document.getElementById("key-warning-verify")?.addEventListener("click", verifyKey);
+
+// --- Presence ---
+
+function timeAgo(date) {
+  const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  if (hours < 48) return "yesterday";
+  return `on ${new Date(date).toLocaleDateString()}`;
+}
+
+function presenceLabel(state) {
+  if (!state || state.status === "offline") return state && state.lastSeen ? `last seen ${timeAgo(state.lastSeen)}` : "offline";
+  const label = PRESENCE_LABELS[state.status];
+  return state.statusText ? `${label} · ${state.statusText}` : label;
+}
+
+// The dot and text next to the chat title: the peer's presence, or how many members of a group are around
+function renderPresenceHeader() {
+  const indicator = document.querySelector(".status-indicator");
+  const text = document.getElementById("presence-text");
+  if (!indicator || !text) return;
+  if (!selectedRecipient) {
+    delete indicator.dataset.status;
+    text.textContent = "";
+    return;
+  }
+  if (isGroupId(selectedRecipient)) {
+    const members = myGroups[selectedRecipient] ? myGroups[selectedRecipient].members.map(m => m.username) : [];
+    const around = members.filter(m => m !== username && presence[m] && presence[m].status !== "offline").length;
+    indicator.dataset.status = around ? "online" : "offline";
+    text.textContent = `${around} of ${Math.max(members.length - 1, 0)} others online`;
+    return;
+  }
+  const state = presence[selectedRecipient] || { status: "offline" };
+  indicator.dataset.status = state.status;
+  text.textContent = presenceLabel(state);
+}
+
+// "5 min ago" goes stale
+setInterval(renderPresenceHeader, 60 * 1000);
+
+// Online while there's input and the tab is in front, idle after a couple of minutes without, away after longer
+function currentActivity() {
+  const quiet = Date.now() - lastInputAt;
+  if (quiet >= AWAY_AFTER_MS) return "away";
+  return document.hidden || quiet >= IDLE_AFTER_MS ? "idle" : "online";
+}
+
+function updateActivity() {
+  const next = currentActivity();
+  if (next === activity) return;
+  activity = next;
+  sendFrame("presence", { status: activity });
+}
+
+["pointerdown", "keydown", "mousemove", "wheel", "touchstart"].forEach(event => {
+  document.addEventListener(event, () => {
+    lastInputAt = Date.now();
+    if (activity !== "online") updateActivity();
+  }, { passive: true });
+});
+document.addEventListener("visibilitychange", updateActivity);
+setInterval(updateActivity, 15 * 1000);
+
+async function loadMyStatus() {
+  try {
+    const res = await apiFetch("/presence");
+    if (!res.ok) return;
+    myStatus = await res.json();
+    renderMyStatus();
+  } catch (err) {
+    console.error("Failed to load status", err);
+  }
+}
+
+function renderMyStatus() {
+  const mode = document.getElementById("my-status-mode");
+  const textBtn = document.getElementById("status-text-btn");
+  if (mode) mode.value = myStatus.doNotDisturb ? "dnd" : "auto";
+  if (textBtn) textBtn.textContent = myStatus.statusText ? `💬 ${myStatus.statusText}` : "💬 Set a status";
+}
+
+async function saveMyStatus(changes) {
+  try {
+    const res = await apiFetch("/presence", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(changes),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    myStatus = data;
+  } catch (err) {
+    renderStatus(`⚠️ ${err.message}`);
+  }
+  renderMyStatus();
+}
+
+document.getElementById("my-status-mode")?.addEventListener("change", (e) => {
+  saveMyStatus({ doNotDisturb: e.target.value === "dnd" });
+});
+
+document.getElementById("status-text-btn")?.addEventListener("click", () => {
+  const text = prompt("Your status (leave empty to clear):", myStatus.statusText || "");
+  if (text !== null) saveMyStatus({ statusText: text.trim() || null });
+});
+
+
+// --- Mood trend in the chat header ---
+const MOOD_EMOJI = { happy: "😄", neutral: "😐", sad: "😢", angry: "😠" };
+
+async function loadMoodTrend() {
+  const conversation = selectedRecipient;
+  moodTrend = [];
+  renderMoodTrend();
+  // Encrypted messages reach the server without a mood, so their chats are scored here from the latest history
+  if (encryptedChats.has(conversation) || document.querySelector("#chat-box .message.encrypted")) return loadLocalMoodTrend(conversation);
+  try {
+    const res = await apiFetch(`/conversations/${encodeURIComponent(conversation)}/mood?limit=${MOOD_TREND_POINTS}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    if (conversation !== selectedRecipient) return;
+    moodTrend = data.timeline.map(({ mood, score }) => ({ mood, score }));
+    renderMoodTrend();
+  } catch (err) {
+    console.error("Failed to load mood trend", err);
+  }
+}
+
+async function loadLocalMoodTrend(conversation) {
+  try {
+    const res = await apiFetch(`/history?peer=${encodeURIComponent(conversation)}&limit=${MOOD_TREND_POINTS}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    await decryptAll(data.messages);
+    if (conversation !== selectedRecipient) return;
+    moodTrend = data.messages.filter(m => m.mood && typeof m.moodScore === "number").map(m => ({ mood: m.mood, score: m.moodScore }));
+    renderMoodTrend();
+  } catch (err) {
+    console.error("Failed to load mood trend", err);
+  }
+}
+
+// Live messages (and our own, once acked) extend the trend without another request
+function noteMood({ mood, moodScore }) {
+  if (!mood || typeof moodScore !== "number") return;
+  moodTrend.push({ mood, score: moodScore });
+  if (moodTrend.length > MOOD_TREND_POINTS) moodTrend.shift();
+  renderMoodTrend();
+}
+
+// The emoji reflects the average of the latest few messages; a negative stretch is sad or angry, whichever came up more
+function trendMood(points) {
+  if (!points.length) return "neutral";
+  const average = points.reduce((sum, p) => sum + p.score, 0) / points.length;
+  if (average >= 0.25) return "happy";
+  if (average > -0.25) return "neutral";
+  const angry = points.filter(p => p.mood === "angry").length;
+  return angry > points.filter(p => p.mood === "sad").length ? "angry" : "sad";
+}
+
+function renderMoodTrend() {
+  const recent = moodTrend.slice(-MOOD_WINDOW);
+  const mood = trendMood(recent);
   const emojiEl = document.getElementById("live-emoji");
-  if (emojiEl) emojiEl.textContent = emojiMap[mood] || "😐";
+  if (emojiEl) emojiEl.textContent = MOOD_EMOJI[mood];
+
+  // Sparkline of each message's score, clamped to -2..2 with neutral in the middle
+  const line = document.getElementById("mood-sparkline-line");
+  if (line) {
+    const step = moodTrend.length > 1 ? 60 / (moodTrend.length - 1) : 0;
+    line.setAttribute("points", moodTrend.map((p, i) =>
+      `${(i * step).toFixed(1)},${(10 - Math.max(-2, Math.min(2, p.score)) * 4.5).toFixed(1)}`).join(" "));
+  }
+  const trend = document.getElementById("mood-trend");
+  if (trend) {
+    trend.dataset.mood = mood;
+    trend.title = moodTrend.length
+      ? `Mood: ${mood} over the last ${recent.length} message${recent.length === 1 ? "" : "s"}`
+      : "No mood yet";
+  }
 }
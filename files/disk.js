@@ -0,0 +1,45 @@
+// files/disk.js — keeps attachments as plain files in one directory
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const KEY_PATTERN = /^[a-z0-9._-]+$/i;
+
+function createDiskFileStore({ dir }) {
+  function fileFor(key) {
+    if (!KEY_PATTERN.test(key) || key.startsWith(".")) throw new Error(`Invalid file key "${key}"`);
+    return path.join(dir, key);
+  }
+
+  return {
+    name: "disk",
+
+    async connect() {
+      await fs.promises.mkdir(dir, { recursive: true });
+    },
+
+    // Written under a temporary name first so readers never see half a file
+    async put(key, buffer) {
+      const target = fileFor(key);
+      const temp = path.join(dir, `.${key}.${crypto.randomBytes(4).toString("hex")}.tmp`);
+      await fs.promises.writeFile(temp, buffer);
+      await fs.promises.rename(temp, target);
+    },
+
+    async read(key) {
+      const file = fileFor(key);
+      try {
+        await fs.promises.access(file);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createDiskFileStore };
@@ -0,0 +1,23 @@
+// files/index.js — where uploaded attachment bytes live; metadata stays in the main storage
+//
+// Each file store exposes connect(), put(key, buffer), read(key) -> readable stream (or null) and
+// remove(key). Keys are opaque strings made of [a-z0-9._-], chosen by the caller.
+const path = require("path");
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, "..", "data", "uploads");
+
+// FILE_STORE=disk is the only driver for now; UPLOAD_DIR moves the files
+function createFileStore(options = {}) {
+  const driver = options.driver || process.env.FILE_STORE || "disk";
+
+  switch (driver) {
+    case "disk": {
+      const { createDiskFileStore } = require("./disk");
+      return createDiskFileStore({ dir: options.dir || process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR });
+    }
+    default:
+      throw new Error(`Unknown file store driver "${driver}"`);
+  }
+}
+
+module.exports = { createFileStore };
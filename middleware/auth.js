@@ -0,0 +1,76 @@
+// middleware/auth.js — JWT issuing and verification for HTTP routes and WebSocket handshakes
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+
+// Without a configured secret every restart invalidates issued tokens, which is fine for development
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  JWT_SECRET = crypto.randomBytes(32).toString("hex");
+  console.warn("⚠️ JWT_SECRET is not set, using a random per-process secret");
+}
+
+// `tokenVersion` goes up when the password changes, which revokes every token signed before
+function signToken(user) {
+  return jwt.sign({ sub: user.username, ver: user.tokenVersion || 0 }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+}
+
+// The claims of a token we signed that hasn't expired, or null
+function readToken(token) {
+  if (!token || typeof token !== "string") return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return typeof payload.sub === "string" ? { username: payload.sub, version: payload.ver || 0 } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Reads a bearer token from the Authorization header. Only requests that can't set headers, WebSocket upgrades and
+// <img> or download links, pass `allowQuery` to fall back to ?token=, which ends up in logs and Referer headers.
+function tokenFromRequest(req, { allowQuery = false } = {}) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice(7).trim();
+  }
+  if (!allowQuery) return null;
+  const url = new URL(req.url, "http://localhost");
+  return url.searchParams.get("token");
+}
+
+function createAuth(storage) {
+  // Returns the username the token was issued to, or null if it is missing, expired, forged or older than a password change
+  async function verifyToken(token) {
+    const claims = readToken(token);
+    if (!claims) return null;
+    const user = await storage.findUser(claims.username);
+    return user && (user.tokenVersion || 0) === claims.version ? user.username : null;
+  }
+
+  function authenticate(options) {
+    return async (req, res, next) => {
+      let username;
+      try {
+        username = await verifyToken(tokenFromRequest(req, options));
+      } catch (err) {
+        console.error("Authentication error:", err);
+        return res.status(500).json({ error: "Internal server error" });
+      }
+      if (!username) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      req.user = { username };
+      next();
+    };
+  }
+
+  return {
+    verifyToken,
+    requireAuth: authenticate(),
+    // For GET routes that serve media to <img> tags and links
+    requireMediaAuth: authenticate({ allowQuery: true }),
+  };
+}
+
+module.exports = { signToken, tokenFromRequest, createAuth };
@@ -0,0 +1,18 @@
+// middleware/rateLimit.js — answers 429 with Retry-After once a client has used up its bucket
+const { createRateLimiter } = require("../utils/rateLimit");
+
+// `keyOf(req)` picks the bucket; requests it returns nothing for aren't limited
+function rateLimit({ capacity, perSecond }, keyOf, message = "Too many requests") {
+  const limiter = createRateLimiter({ capacity, perSecond });
+  return (req, res, next) => {
+    const key = keyOf(req);
+    if (!key) return next();
+    const { allowed, retryAfterMs } = limiter.take(key);
+    if (allowed) return next();
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ error: `${message}. Try again in ${retryAfter} seconds` });
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// A cached summary or translation, attached to the message it was computed for
+const aiResultSchema = new mongoose.Schema({
+  messageId: { type: String, required: true },
+  key: { type: String, required: true }, // e.g. "translate:local:es"
+  value: { type: String, required: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+aiResultSchema.index({ messageId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('AIResult', aiResultSchema);
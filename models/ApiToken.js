@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// A token for the integration API; only its SHA-256 hash is kept, the token itself is shown once
+const apiTokenSchema = new mongoose.Schema({
+  tokenId: { type: String, required: true, unique: true },
+  owner: { type: String, required: true }, // messages posted with the token are sent as this user
+  name: { type: String, required: true },
+  groupId: String, // set when the token may only post into this group
+  tokenHash: { type: String, required: true, unique: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+apiTokenSchema.index({ owner: 1 });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
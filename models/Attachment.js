@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Metadata for an uploaded file; the bytes themselves live in the file store under attachmentId
+const attachmentSchema = new mongoose.Schema({
+  attachmentId: { type: String, required: true, unique: true },
+  owner: { type: String, required: true },
+  recipient: { type: String, required: true }, // peer username or groupId it was uploaded for
+  conversationId: { type: String, required: true },
+  name: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  width: Number,
+  height: Number,
+  thumbnail: { type: Boolean, default: false },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// `username` blocked `target`: no direct messages or typing between them, and neither sees the other online
+const blockSchema = new mongoose.Schema({
+  username: { type: String, required: true },
+  target: { type: String, required: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+blockSchema.index({ username: 1, target: 1 }, { unique: true });
+blockSchema.index({ target: 1 });
+
+module.exports = mongoose.model('Block', blockSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  conversationId: { type: String, required: true, unique: true }, // see utils/conversation.js
+  type: { type: String, enum: ['direct', 'group'], required: true },
+  participants: [String], // direct chats only; group membership lives on the Group
+  lastMessageAt: Date,
+}, { timestamps: true });
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+  username: { type: String, required: true },
+  role: { type: String, enum: ['owner', 'admin', 'member'], default: 'member' },
+}, { _id: false });
+
+const groupSchema = new mongoose.Schema({
+  groupId: { type: String, required: true, unique: true }, // "group-<hex>", used as the message recipient
+  name: { type: String, required: true, trim: true, maxlength: 50 },
+  owner: { type: String, required: true },
+  members: [memberSchema],
+}, { timestamps: true });
+
+groupSchema.index({ 'members.username': 1 });
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversationId: { type: String, required: true },
+  sender: { type: String, required: true },
+  recipient: { type: String, required: true }, // peer username or groupId
+  message: String,
+  words: { type: [String], default: undefined }, // folded words of `message` for prefix search, see utils/search.js
+  mood: String,
+  moodScore: Number, // comparative sentiment score, see utils/mood.js
+  flags: { type: [String], default: undefined }, // moderation rules the text tripped without being blocked
+  timestamp: { type: Date, default: Date.now },
+  clientId: String, // generated by the sending client, echoed back in the ack
+  deliveredTo: [String],
+  readBy: [String],
+  edits: [{ _id: false, message: String, editedAt: Date }], // previous versions, oldest first
+  editedAt: Date,
+  deletedAt: Date, // set when the sender deletes for everyone; the text is cleared
+  reactions: { type: Map, of: [String], default: {} }, // emoji -> usernames
+  hiddenFor: [String], // users who deleted the message for themselves only
+  replyTo: String, // id of the message this one quotes
+  threadId: String, // id of the root message when this is a reply in its side thread; such replies stay out of the main flow
+  replyCount: Number, // on a thread root: how many replies the thread has
+  lastReplyAt: Date,
+  attachment: { // snapshot of the Attachment this message shares, cleared on delete
+    type: new mongoose.Schema({
+      id: String,
+      name: String,
+      mimeType: String,
+      size: Number,
+      width: Number,
+      height: Number,
+      thumbnail: Boolean,
+    }, { _id: false }),
+    default: undefined,
+  },
+  // An end-to-end encrypted message: `message` stays empty, and there's no mood or moderation (see services/keys.js)
+  encrypted: {
+    type: new mongoose.Schema({
+      ciphertext: String, // base64 AES-GCM
+      iv: String,
+      senderKey: String, // the public keys the AES key was derived from, base64 SPKI
+      recipientKey: String,
+    }, { _id: false }),
+    default: undefined,
+  },
+});
+
+// Serves both the latest page and before/after cursors, with _id breaking timestamp ties
+messageSchema.index({ conversationId: 1, timestamp: -1, _id: -1 });
+
+// Paging through one thread
+messageSchema.index({ threadId: 1, timestamp: -1, _id: -1 }, { partialFilterExpression: { threadId: { $type: 'string' } } });
+
+// Replaying everything a user missed across all their conversations
+messageSchema.index({ recipient: 1, timestamp: 1 });
+messageSchema.index({ sender: 1, timestamp: 1 });
+
+// Searching a user's conversations by word prefix
+messageSchema.index({ words: 1 });
+
+// Lets a client resend after a reconnect without creating duplicates
+messageSchema.index({ sender: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+
+messageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = String(ret._id);
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// A conversation whose new messages don't notify `username`, until `until` or for good when it's unset
+const muteSchema = new mongoose.Schema({
+  username: { type: String, required: true },
+  conversationId: { type: String, required: true },
+  peer: { type: String, required: true }, // the other user or the groupId, as the muting user sees it
+  until: Date,
+});
+
+muteSchema.index({ username: 1, conversationId: 1 }, { unique: true });
+muteSchema.index({ conversationId: 1 });
+
+module.exports = mongoose.model('Mute', muteSchema);
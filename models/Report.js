@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const snapshotSchema = new mongoose.Schema({
+  id: String,
+  sender: String,
+  message: String,
+  attachment: String, // file name only
+  timestamp: Date,
+}, { _id: false });
+
+// A reported message for the admin queue, with copies of it and the messages around it as they were at the time
+const reportSchema = new mongoose.Schema({
+  reportId: { type: String, required: true, unique: true },
+  reporter: { type: String, required: true },
+  reportedUser: { type: String, required: true },
+  messageId: { type: String, required: true },
+  conversationId: { type: String, required: true },
+  reason: { type: String, required: true },
+  message: snapshotSchema,
+  context: [snapshotSchema],
+  status: { type: String, enum: ['open', 'resolved', 'dismissed'], required: true },
+  resolvedBy: String,
+  resolvedAt: Date,
+  resolution: String,
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+reportSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Per-user unread counter for one conversation; peer is how that user addresses it (username or groupId)
+const unreadSchema = new mongoose.Schema({
+  username: { type: String, required: true },
+  conversationId: { type: String, required: true },
+  peer: { type: String, required: true },
+  count: { type: Number, default: 0 },
+});
+
+unreadSchema.index({ username: 1, conversationId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Unread', unreadSchema);
@@ -1,17 +1,28 @@
 const mongoose = require('mongoose');
+const { GENDERS, MAX_DISPLAY_NAME_LENGTH, MAX_BIO_LENGTH, DOB_PATTERN, MAX_STATUS_LENGTH } = require('../utils/profile');
 
 const userSchema = new mongoose.Schema({
   username: String,
-  password: String,
+  password: String, // bcrypt hash; legacy plaintext is upgraded on next login
+  failedLogins: { type: Number, default: 0 },
+  lockUntil: Date,
+  tokenVersion: Number, // bumped by a password change, which revokes older tokens
   contacts: [String], // usernames
-  messages: [{
-    with: String,
-    chat: [{
-      sender: String,
-      message: String,
-      timestamp: Date
-    }]
-  }]
+  displayName: { type: String, trim: true, maxlength: MAX_DISPLAY_NAME_LENGTH },
+  bio: { type: String, trim: true, maxlength: MAX_BIO_LENGTH },
+  dob: { type: String, match: DOB_PATTERN }, // YYYY-MM-DD, as the register form sends it
+  gender: { type: String, enum: GENDERS },
+  avatar: String, // file store key of the resized profile picture
+  bot: Boolean, // a virtual user run by the server (see bots/); nobody can log in as one
+  lastSeen: Date, // when the user's last device disconnected
+  statusText: { type: String, trim: true, maxlength: MAX_STATUS_LENGTH },
+  doNotDisturb: Boolean,
+  publicKey: String, // base64 SPKI ECDH key for end-to-end encrypted messages; the private key never leaves the browser
+  publicKeyAt: Date,
+  // Chat history lives in the Message collection; scripts/migrate-messages.js moves old embedded histories there
 });
 
+// Case-insensitive, for telling whether a name is taken; usernameTaken in storage/mongo.js queries with this collation
+userSchema.index({ username: 1 }, { collation: { locale: 'en', strength: 2 } });
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  conversationId: { type: String, required: true },
+  peer: { type: String, required: true }, // how the owner addresses it: a username or groupId
+}, { _id: false });
+
+// An outgoing webhook: new messages in `conversations` are POSTed to url, signed with secret
+const webhookSchema = new mongoose.Schema({
+  webhookId: { type: String, required: true, unique: true },
+  owner: { type: String, required: true },
+  url: { type: String, required: true },
+  secret: { type: String, required: true },
+  conversations: [conversationSchema],
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+webhookSchema.index({ owner: 1 });
+webhookSchema.index({ 'conversations.conversationId': 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One event sent (or still being retried) to one webhook; doubles as the delivery log
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: { type: String, required: true, unique: true },
+  webhookId: { type: String, required: true },
+  event: { type: String, required: true },
+  messageId: String,
+  payload: { type: String, required: true }, // the exact JSON body, so retries are signed over the same bytes
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], required: true },
+  attempts: { type: Number, default: 0 },
+  responseStatus: Number,
+  error: String,
+  nextAttemptAt: Date,
+  deliveredAt: Date,
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,195 @@
+// protocol/index.js — the WebSocket protocol: every frame either side sends, the fields it carries, and the error codes
+//
+// Shared by the server (require) and the browser, which loads this file as /js/protocol.js and finds it on
+// window.ChatProtocol. The client names the version it speaks in `connect`; pages from before versioning send none
+// and are treated as version 1, which gets the same frames. Any client frame may carry a `requestId`, which the
+// server copies into the error frame if the request fails. Undeclared fields are dropped rather than rejected.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ChatProtocol = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const VERSION = 2;
+  const SUPPORTED_VERSIONS = [1, 2];
+
+  const optional = (spec) => ({ ...spec, optional: true });
+  const text = { type: "string" };
+  const id = { type: "string", min: 1, max: 200 }; // usernames, group ids, message ids
+  const clientId = { type: "string", min: 1, max: 64 };
+  const timestamp = { type: "string", format: "date" };
+  const integer = { type: "integer" };
+  const boolean = { type: "boolean" };
+  const object = { type: "object" };
+  const list = (items, max) => ({ type: "array", items, max });
+  const oneOf = (...values) => ({ type: "string", enum: values });
+
+  const MAX_RECEIPT_IDS = 100;
+  const MAX_GROUP_INVITES = 256;
+
+  // client -> server
+  const CLIENT_FRAMES = {
+    connect: { token: optional(text), username: optional(id), version: optional({ type: "integer", min: 1 }) },
+    // `replyTo` quotes a message of the same conversation; `threadId` posts into a root message's side thread.
+    // An end-to-end encrypted direct message has an empty `message` and `encrypted: { ciphertext, iv, senderKey, recipientKey }`.
+    // `command` marks a slash command typed in an encrypted chat and sent in the clear: it's refused if no bot knows it
+    message: { recipient: id, message: text, clientId: optional(clientId), replyTo: optional(id), threadId: optional(id), encrypted: optional(object), command: optional(boolean) },
+    // A message sharing an uploaded file, with the text as an optional caption
+    attachment: { recipient: id, attachmentId: id, message: optional(text), clientId: optional(clientId), replyTo: optional(id), threadId: optional(id) },
+    sync: { since: timestamp, sinceId: optional(id) },
+    delivered: { ids: list(id, MAX_RECEIPT_IDS) },
+    read: { peer: id, upTo: optional(id) },
+    edit: { id, message: text },
+    delete: { id, scope: optional(oneOf("me", "everyone")) },
+    react: { id, emoji: { type: "string", min: 1, max: 16 } },
+    typing: { recipient: id },
+    presence: { status: oneOf("online", "idle", "away") },
+    "group-create": { name: text, members: optional(list(id, MAX_GROUP_INVITES)) },
+    "group-invite": { groupId: id, members: list(id, MAX_GROUP_INVITES) },
+    "group-remove": { groupId: id, member: id },
+    "group-leave": { groupId: id },
+    "group-rename": { groupId: id, name: text },
+    "group-role": { groupId: id, member: id, role: oneOf("admin", "member") },
+  };
+
+  // server -> client; only the fields every frame of the type has are listed
+  const SERVER_FRAMES = {
+    "connect-response": { username: id, serverTime: timestamp, version: integer },
+    sync: { messages: list(object), hasMore: boolean },
+    message: { id, sender: id, recipient: id, timestamp },
+    ack: { id, timestamp },
+    botReply: { bot: id, peer: id, message: text },
+    messageUpdate: { message: object },
+    messageHidden: { id },
+    receipt: { ids: list(id), status: oneOf("delivered", "read"), by: id },
+    read: { peer: id },
+    typing: { sender: id },
+    presenceList: { users: list(object) },
+    presence: { username: id, status: oneOf("online", "idle", "away", "dnd", "offline") },
+    statusUpdate: { doNotDisturb: boolean },
+    groupUpdate: { group: object },
+    groupRemoved: { groupId: id },
+    blockUpdate: { username: id, blocked: boolean },
+    muteUpdate: { peer: id, muted: boolean },
+    // `username` published a new encryption key or removed theirs (GET /keys/:username has what is current)
+    keyChange: { username: id },
+    error: { code: text, message: text },
+  };
+
+  // `code` of an error frame
+  const ERRORS = {
+    invalid_json: "The frame isn't valid JSON",
+    invalid_frame: "A field is missing or has the wrong type",
+    unknown_type: "The server doesn't handle frames of this type",
+    unsupported_version: "None of the protocol versions the client asked for",
+    not_authenticated: "Frames other than connect need a connected socket",
+    already_connected: "connect was sent twice",
+    unauthorized: "The token is invalid or expired",
+    rate_limited: "Too many frames; retryAfter says when to try again",
+    moderated: "Moderation refused the message",
+    blocked: "A block stops messages between these users",
+    invalid_request: "Well-formed, but the request can't be carried out",
+    forbidden: "Not allowed for this user",
+    not_found: "The message, group or user doesn't exist (for this user)",
+    conflict: "Already done",
+    gone: "The message was deleted",
+    too_large: "Too long",
+    unavailable: "A service the request needs is down",
+    internal: "Something went wrong on the server",
+  };
+
+  // For errors from services, which carry an HTTP status
+  const STATUS_ERRORS = { 400: "invalid_request", 401: "unauthorized", 403: "forbidden", 404: "not_found", 409: "conflict", 410: "gone", 413: "too_large", 422: "invalid_request", 429: "rate_limited", 503: "unavailable" };
+
+  function codeForStatus(status) {
+    return STATUS_ERRORS[status] || (status >= 500 ? "internal" : "invalid_request");
+  }
+
+  // Returns what's wrong with `value` as a sentence, or null
+  function check(spec, value, name) {
+    if (value === undefined || value === null) return spec.optional ? null : `"${name}" is required`;
+    if (spec.enum && !spec.enum.includes(value)) return `"${name}" must be one of: ${spec.enum.join(", ")}`;
+    switch (spec.type) {
+      case "string":
+        if (typeof value !== "string") return `"${name}" must be a string`;
+        if (spec.min && value.length < spec.min) return `"${name}" can't be empty`;
+        if (spec.max && value.length > spec.max) return `"${name}" can be at most ${spec.max} characters`;
+        if (spec.format === "date" && Number.isNaN(Date.parse(value))) return `"${name}" must be a date`;
+        return null;
+      case "integer":
+        if (!Number.isInteger(value)) return `"${name}" must be a whole number`;
+        return spec.min !== undefined && value < spec.min ? `"${name}" must be at least ${spec.min}` : null;
+      case "boolean":
+        return typeof value === "boolean" ? null : `"${name}" must be true or false`;
+      case "object":
+        return typeof value === "object" && !Array.isArray(value) ? null : `"${name}" must be an object`;
+      case "array":
+        if (!Array.isArray(value)) return `"${name}" must be a list`;
+        if (spec.max && value.length > spec.max) return `"${name}" can have at most ${spec.max} entries`;
+        for (let i = 0; i < value.length; i++) {
+          const error = check(spec.items, value[i], `${name}[${i}]`);
+          if (error) return error;
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  // The frame with only its type, requestId and declared fields, or { error } saying what's wrong
+  function validate(schemas, frame) {
+    const schema = schemas[frame.type];
+    const clean = { type: frame.type };
+    const requestIdError = check(optional(clientId), frame.requestId, "requestId");
+    if (requestIdError) return { error: requestIdError };
+    if (frame.requestId != null) clean.requestId = frame.requestId;
+    for (const [name, spec] of Object.entries(schema)) {
+      const error = check(spec, frame[name], name);
+      if (error) return { error };
+      if (frame[name] != null) clean[name] = frame[name];
+    }
+    return { frame: clean };
+  }
+
+  // A parsed object with a string type, or null for anything else
+  function decode(data) {
+    let frame;
+    try {
+      frame = JSON.parse(data);
+    } catch {
+      return null;
+    }
+    return frame && typeof frame === "object" && !Array.isArray(frame) && typeof frame.type === "string" ? frame : null;
+  }
+
+  const isClientType = (type) => Object.hasOwn(CLIENT_FRAMES, type);
+  const isServerType = (type) => Object.hasOwn(SERVER_FRAMES, type);
+
+  // Builds a client frame from the fields its type declares; throws if the frame would be refused
+  function encode(type, fields = {}) {
+    if (!isClientType(type)) throw new Error(`Unknown frame type "${type}"`);
+    const { frame, error } = validate(CLIENT_FRAMES, { ...fields, type });
+    if (error) throw new Error(`Invalid ${type} frame: ${error}`);
+    return JSON.stringify(frame);
+  }
+
+  // Picks the version for a connect frame's `version`, or null when the server can't speak it
+  function negotiate(requested) {
+    if (requested === undefined || requested === null) return 1;
+    return SUPPORTED_VERSIONS.includes(requested) ? requested : null;
+  }
+
+  return {
+    VERSION,
+    SUPPORTED_VERSIONS,
+    CLIENT_FRAMES,
+    SERVER_FRAMES,
+    ERRORS,
+    codeForStatus,
+    isClientType,
+    isServerType,
+    validateClientFrame: (frame) => validate(CLIENT_FRAMES, frame),
+    validateServerFrame: (frame) => validate(SERVER_FRAMES, frame),
+    decode,
+    encode,
+    negotiate,
+  };
+});
@@ -0,0 +1,113 @@
+// scripts/migrate-messages.js — one-shot move of users[].messages[].chat[] into the Message/Conversation collections
+//
+//   MONGODB_URI=... node scripts/migrate-messages.js [--dry-run] [--drop-embedded]
+//
+// Direct chats were stored twice (once per participant) and group chats once per member, so copies are
+// de-duplicated on (conversation, sender, timestamp, text). Re-running is safe: messages that already
+// exist in the Message collection are skipped. --drop-embedded removes the old arrays afterwards.
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const { isGroupId, conversationIdFor } = require("../utils/conversation");
+
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const dropEmbedded = args.includes("--drop-embedded");
+
+function messageKey(conversationId, sender, timestamp, text) {
+  return `${conversationId}\n${sender}\n${new Date(timestamp).getTime()}\n${text}`;
+}
+
+async function migrate() {
+  const MONGODB_URI = process.env.MONGODB_URI;
+  if (!MONGODB_URI) {
+    console.error("❌ MONGODB_URI environment variable is not set!");
+    process.exit(1);
+  }
+  await mongoose.connect(MONGODB_URI, { family: 4 });
+  console.log(`✅ MongoDB Connected${dryRun ? " (dry run)" : ""}`);
+
+  // Read the raw collection: the User model no longer declares the embedded array
+  const users = mongoose.connection.collection("users");
+  const seen = new Set();
+  const loaded = new Set();
+  const lastActivity = new Map(); // conversationId -> { type, participants, lastMessageAt }
+  let pending = [];
+  let inserted = 0;
+  let skipped = 0;
+
+  async function flush() {
+    if (!pending.length) return;
+    if (!dryRun) await Message.insertMany(pending, { ordered: false });
+    inserted += pending.length;
+    pending = [];
+  }
+
+  // Pull keys already migrated by an earlier run so they aren't inserted twice
+  async function loadExisting(conversationId) {
+    if (loaded.has(conversationId)) return;
+    loaded.add(conversationId);
+    const existing = await Message.find({ conversationId }, { sender: 1, timestamp: 1, message: 1 }).lean();
+    existing.forEach(m => seen.add(messageKey(conversationId, m.sender, m.timestamp, m.message)));
+  }
+
+  const cursor = users.find({ "messages.0": { $exists: true } }, { projection: { username: 1, messages: 1 } });
+  for await (const user of cursor) {
+    for (const entry of user.messages) {
+      if (!entry.with || !Array.isArray(entry.chat)) continue;
+      const group = isGroupId(entry.with);
+      const conversationId = conversationIdFor(user.username, entry.with);
+      await loadExisting(conversationId);
+
+      for (const chat of entry.chat) {
+        const key = messageKey(conversationId, chat.sender, chat.timestamp, chat.message);
+        if (seen.has(key)) {
+          skipped++;
+          continue;
+        }
+        seen.add(key);
+
+        // In a direct chat the recipient is whichever participant didn't send it
+        const recipient = group ? entry.with : (chat.sender === user.username ? entry.with : user.username);
+        const timestamp = chat.timestamp ? new Date(chat.timestamp) : new Date(0);
+        pending.push({ conversationId, sender: chat.sender, recipient, message: chat.message, timestamp });
+        if (pending.length >= BATCH_SIZE) await flush();
+
+        const activity = lastActivity.get(conversationId);
+        if (!activity || activity.lastMessageAt < timestamp) {
+          lastActivity.set(conversationId, {
+            type: group ? "group" : "direct",
+            participants: group ? [] : [user.username, entry.with].sort(),
+            lastMessageAt: timestamp,
+          });
+        }
+      }
+    }
+  }
+  await flush();
+
+  if (!dryRun) {
+    for (const [conversationId, { type, participants, lastMessageAt }] of lastActivity) {
+      await Conversation.updateOne(
+        { conversationId },
+        { $max: { lastMessageAt }, $setOnInsert: { type, participants } },
+        { upsert: true }
+      );
+    }
+    if (dropEmbedded) {
+      const { modifiedCount } = await users.updateMany({ messages: { $exists: true } }, { $unset: { messages: "" } });
+      console.log(`🧹 Dropped embedded histories from ${modifiedCount} users`);
+    }
+  }
+
+  console.log(`📦 ${inserted} messages migrated, ${skipped} duplicate copies skipped, ${lastActivity.size} conversations`);
+}
+
+migrate()
+  .catch((err) => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
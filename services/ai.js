@@ -0,0 +1,113 @@
+// services/ai.js — conversation summaries and message translations, cached per message
+const crypto = require("crypto");
+const { conversationIdFor, requireConversation } = require("../utils/conversation");
+const { StatusError } = require("../utils/errors");
+
+const DEFAULT_SUMMARY_MESSAGES = 50;
+const MAX_SUMMARY_MESSAGES = 200;
+const MAX_TRANSLATION_LENGTH = 4000;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+class AIError extends StatusError {}
+
+// Changes whenever the message is edited, so a cached result never outlives the text it was made from
+const versionOf = (message) => (message.editedAt ? new Date(message.editedAt).getTime() : 0);
+
+// What the provider sees of a message; shared files are described by name
+function transcriptEntry(message) {
+  const text = [message.message, message.attachment && `[${message.attachment.name}]`].filter(Boolean).join(" ");
+  return { sender: message.sender, text, timestamp: message.timestamp };
+}
+
+// Everything after the last message the user wrote or read
+function unreadTail(messages, username) {
+  let start = 0;
+  messages.forEach((message, index) => {
+    if (message.sender === username || (message.readBy || []).includes(username)) start = index + 1;
+  });
+  return messages.slice(start);
+}
+
+// `groupMembers(groupId)` resolves current member names; `loadMessage(id, username)` is the
+// message service's participant check and throws its own 404 for anyone else
+function createAIService(storage, provider, { groupMembers, loadMessage }) {
+  // Provider failures (network, quota, bad output) all look the same to the caller
+  async function ask(task) {
+    try {
+      return await task();
+    } catch (err) {
+      console.error(`AI provider (${provider.name}) error:`, err.message);
+      throw new AIError(502, "The AI service is unavailable, try again later");
+    }
+  }
+
+  async function cached(messageId, key, compute) {
+    const hit = await storage.findAIResult(messageId, key);
+    if (hit !== null) return { value: hit, cached: true };
+    const value = await ask(compute);
+    await storage.saveAIResult(messageId, key, value);
+    return { value, cached: false };
+  }
+
+  // The last `limit` messages, or with since: "lastRead" whatever arrived after the user last read the chat
+  async function summarize(username, peer, { limit, since } = {}) {
+    if (since !== undefined && since !== "lastRead") throw new AIError(400, 'since must be "lastRead"');
+    await requireConversation(storage, groupMembers, username, peer, { ErrorClass: AIError });
+    const count = since ? MAX_SUMMARY_MESSAGES : Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SUMMARY_MESSAGES, 1), MAX_SUMMARY_MESSAGES);
+    const page = await storage.listMessages(conversationIdFor(username, peer), { limit: count, viewer: username });
+    let messages = page.messages.filter(m => !m.deletedAt && (m.message || m.attachment));
+    if (since) messages = unreadTail(messages, username);
+    if (!messages.length) return { summary: null, messageCount: 0, provider: provider.name };
+
+    // Stored on the newest message, keyed by exactly which versions of which messages went in
+    const fingerprint = crypto.createHash("sha256")
+      .update(messages.map(m => `${m.id}@${versionOf(m)}`).join(","))
+      .digest("hex")
+      .slice(0, 16);
+    const last = messages[messages.length - 1];
+    const { value, cached: fromCache } = await cached(last.id, `summary:${provider.name}:${fingerprint}`,
+      () => provider.summarize(messages.map(transcriptEntry)));
+
+    return {
+      summary: value,
+      messageCount: messages.length,
+      from: messages[0].id,
+      to: last.id,
+      provider: provider.name,
+      cached: fromCache,
+    };
+  }
+
+  function languageCode(language) {
+    const code = typeof language === "string" ? language.trim().toLowerCase() : "";
+    if (!LANGUAGE_PATTERN.test(code)) throw new AIError(400, "Language must be a code like \"es\" or \"pt-br\"");
+    if (provider.languages && !provider.languages.includes(code.split("-")[0])) {
+      throw new AIError(400, `Translation to "${code}" isn't available; try ${provider.languages.join(", ")}`);
+    }
+    return code;
+  }
+
+  async function translate(username, id, language) {
+    const code = languageCode(language);
+    const message = await loadMessage(id, username);
+    if (message.deletedAt) throw new AIError(410, "Message was deleted");
+    if (!message.message) throw new AIError(400, "Message has no text to translate");
+    if (message.message.length > MAX_TRANSLATION_LENGTH) throw new AIError(413, "Message is too long to translate");
+
+    const { value, cached: fromCache } = await cached(message.id, `translate:${provider.name}:${code}:${versionOf(message)}`,
+      () => provider.translate(message.message, code));
+    return { id: message.id, language: code, text: value, provider: provider.name, cached: fromCache };
+  }
+
+  // Free text that isn't a stored message (bot commands); nothing to cache it against
+  async function translateText(text, language) {
+    const code = languageCode(language);
+    if (typeof text !== "string" || !text.trim()) throw new AIError(400, "Nothing to translate");
+    if (text.length > MAX_TRANSLATION_LENGTH) throw new AIError(413, "Text is too long to translate");
+    return { language: code, text: await ask(() => provider.translate(text, code)), provider: provider.name };
+  }
+
+  return { summarize, translate, translateText };
+}
+
+module.exports = { AIError, createAIService };
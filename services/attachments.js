@@ -0,0 +1,117 @@
+// services/attachments.js — upload limits, thumbnails and access checks for files shared in conversations
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { isGroupId, conversationIdFor, requireConversation } = require("../utils/conversation");
+const { StatusError } = require("../utils/errors");
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.MAX_ATTACHMENT_BYTES, 10) || 10 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+const MAX_NAME_LENGTH = 200;
+
+// Images get a thumbnail and are shown inline; everything else is offered as a download
+const IMAGE_FORMATS = { "image/jpeg": "jpeg", "image/png": "png", "image/gif": "gif", "image/webp": "webp" };
+const FILE_TYPES = new Set([
+  "application/pdf",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "text/plain",
+  "audio/mpeg",
+  "audio/ogg",
+  "video/mp4",
+  "video/webm",
+]);
+
+class AttachmentError extends StatusError {}
+
+const isImage = (mimeType) => Object.hasOwn(IMAGE_FORMATS, mimeType);
+const thumbnailKey = (id) => `${id}.thumb`;
+
+function cleanName(name) {
+  const base = String(name || "").split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, "").trim();
+  return base.slice(0, MAX_NAME_LENGTH) || "file";
+}
+
+// What a message carries about the file it shares
+function summary({ id, name, mimeType, size, width, height, thumbnail }) {
+  return { id, name, mimeType, size, width, height, thumbnail };
+}
+
+// `groupMembers(groupId)` resolves current member names, the same lookup the socket handlers use
+function createAttachmentService(storage, files, { groupMembers }) {
+  // Decodes the image to prove it is what it claims to be, then renders a small webp preview
+  async function inspectImage(buffer, mimeType) {
+    let info;
+    try {
+      info = await sharp(buffer).metadata();
+    } catch {
+      throw new AttachmentError(415, "File is not a valid image");
+    }
+    if (info.format !== IMAGE_FORMATS[mimeType]) throw new AttachmentError(415, "File is not a valid image");
+    const thumbnail = await sharp(buffer)
+      .rotate() // honour EXIF orientation
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+    const rotated = info.orientation >= 5;
+    return { width: rotated ? info.height : info.width, height: rotated ? info.width : info.height, thumbnail };
+  }
+
+  async function upload(username, peer, file) {
+    if (!file) throw new AttachmentError(400, "No file uploaded");
+    if (file.size > MAX_ATTACHMENT_BYTES) throw new AttachmentError(413, "File is too large");
+    if (!isImage(file.mimetype) && !FILE_TYPES.has(file.mimetype)) throw new AttachmentError(415, "File type not allowed");
+    await requireConversation(storage, groupMembers, username, peer, { ErrorClass: AttachmentError });
+
+    const image = isImage(file.mimetype) ? await inspectImage(file.buffer, file.mimetype) : null;
+    const id = crypto.randomBytes(16).toString("hex");
+    await files.put(id, file.buffer);
+    if (image) await files.put(thumbnailKey(id), image.thumbnail);
+
+    return storage.createAttachment({
+      id,
+      owner: username,
+      recipient: peer,
+      conversationId: conversationIdFor(username, peer),
+      name: cleanName(file.originalname),
+      mimeType: file.mimetype,
+      size: file.size,
+      width: image ? image.width : undefined,
+      height: image ? image.height : undefined,
+      thumbnail: Boolean(image),
+    });
+  }
+
+  // Only the uploader may share a file, and only into the conversation it was uploaded for
+  async function attachToMessage(id, username, recipient) {
+    const attachment = typeof id === "string" && id ? await storage.findAttachment(id) : null;
+    if (!attachment || attachment.owner !== username) throw new AttachmentError(404, "Attachment not found");
+    if (attachment.conversationId !== conversationIdFor(username, recipient)) {
+      throw new AttachmentError(400, "Attachment belongs to another conversation");
+    }
+    return summary(attachment);
+  }
+
+  // Anyone outside the conversation gets the same 404 as for a file that doesn't exist
+  async function loadForParticipant(id, username) {
+    const attachment = await storage.findAttachment(id);
+    if (attachment) {
+      const allowed = isGroupId(attachment.recipient)
+        ? ((await groupMembers(attachment.recipient)) || []).includes(username)
+        : [attachment.owner, attachment.recipient].includes(username);
+      if (allowed) return attachment;
+    }
+    throw new AttachmentError(404, "Attachment not found");
+  }
+
+  async function open(attachment, { thumbnail = false } = {}) {
+    if (thumbnail && !attachment.thumbnail) throw new AttachmentError(404, "No thumbnail for this attachment");
+    const stream = await files.read(thumbnail ? thumbnailKey(attachment.id) : attachment.id);
+    if (!stream) throw new AttachmentError(404, "Attachment not found");
+    return stream;
+  }
+
+  return { upload, attachToMessage, loadForParticipant, open };
+}
+
+module.exports = { MAX_ATTACHMENT_BYTES, AttachmentError, isImage, createAttachmentService };
@@ -0,0 +1,152 @@
+// services/groups.js — group membership rules shared by the REST routes and the WebSocket handlers
+const crypto = require("crypto");
+const { StatusError } = require("../utils/errors");
+
+const MAX_GROUP_MEMBERS = 256;
+
+class GroupError extends StatusError {}
+
+function roleOf(group, username) {
+  const member = group.members.find(m => m.username === username);
+  return member ? member.role : null;
+}
+
+function memberNames(group) {
+  return group.members.map(m => m.username);
+}
+
+function toJSON(group) {
+  return {
+    groupId: group.groupId,
+    name: group.name,
+    owner: group.owner,
+    members: group.members.map(({ username, role }) => ({ username, role })),
+    updatedAt: group.updatedAt,
+  };
+}
+
+function validateName(name) {
+  if (typeof name !== "string" || !name.trim() || name.trim().length > 50) {
+    throw new GroupError(400, "Group name must be 1-50 characters");
+  }
+  return name.trim();
+}
+
+function createGroupService(storage) {
+  async function existingUsernames(usernames) {
+    if (!Array.isArray(usernames)) throw new GroupError(400, "Members must be a list of usernames");
+    const unique = [...new Set(usernames.filter(u => typeof u === "string" && u))];
+    const known = new Set(await storage.existingUsernames(unique));
+    const missing = unique.filter(u => !known.has(u));
+    if (missing.length) throw new GroupError(404, `Unknown users: ${missing.join(", ")}`);
+    return unique;
+  }
+
+  async function loadForMember(groupId, username) {
+    const group = await storage.findGroup(groupId);
+    if (!group || !roleOf(group, username)) throw new GroupError(404, "Group not found");
+    return group;
+  }
+
+  function requireManager(group, username) {
+    const role = roleOf(group, username);
+    if (role !== "owner" && role !== "admin") {
+      throw new GroupError(403, "Only the owner or an admin can do that");
+    }
+    return role;
+  }
+
+  async function createGroup(owner, name, members = []) {
+    const groupName = validateName(name);
+    const invited = (await existingUsernames(members)).filter(u => u !== owner);
+    if (invited.length + 1 > MAX_GROUP_MEMBERS) throw new GroupError(400, "Too many members");
+
+    return storage.createGroup({
+      groupId: `group-${crypto.randomBytes(8).toString("hex")}`,
+      name: groupName,
+      owner,
+      members: [{ username: owner, role: "owner" }, ...invited.map(username => ({ username, role: "member" }))],
+    });
+  }
+
+  function listGroups(username) {
+    return storage.listGroupsFor(username);
+  }
+
+  async function inviteMembers(groupId, actor, usernames) {
+    const group = await loadForMember(groupId, actor);
+    requireManager(group, actor);
+    const current = new Set(memberNames(group));
+    const added = (await existingUsernames(usernames)).filter(u => !current.has(u));
+    if (current.size + added.length > MAX_GROUP_MEMBERS) throw new GroupError(400, "Too many members");
+
+    added.forEach(username => group.members.push({ username, role: "member" }));
+    return { group: await storage.saveGroup(group), added };
+  }
+
+  async function removeMember(groupId, actor, target) {
+    if (actor === target) return leaveGroup(groupId, actor);
+
+    const group = await loadForMember(groupId, actor);
+    const actorRole = requireManager(group, actor);
+    const targetRole = roleOf(group, target);
+    if (!targetRole) throw new GroupError(404, "Not a member of this group");
+    // Admins may only remove plain members; the owner can remove anyone
+    if (targetRole === "owner" || (actorRole === "admin" && targetRole === "admin")) {
+      throw new GroupError(403, "You cannot remove that member");
+    }
+
+    group.members = group.members.filter(m => m.username !== target);
+    return { group: await storage.saveGroup(group), removed: target };
+  }
+
+  async function leaveGroup(groupId, username) {
+    const group = await loadForMember(groupId, username);
+    group.members = group.members.filter(m => m.username !== username);
+
+    if (!group.members.length) {
+      await storage.deleteGroup(groupId);
+      return { group: null, removed: username };
+    }
+
+    // Ownership passes to the longest-standing admin, or failing that the longest-standing member
+    if (group.owner === username) {
+      const heir = group.members.find(m => m.role === "admin") || group.members[0];
+      heir.role = "owner";
+      group.owner = heir.username;
+    }
+    return { group: await storage.saveGroup(group), removed: username };
+  }
+
+  async function renameGroup(groupId, actor, name) {
+    const group = await loadForMember(groupId, actor);
+    requireManager(group, actor);
+    group.name = validateName(name);
+    return storage.saveGroup(group);
+  }
+
+  async function setRole(groupId, actor, target, role) {
+    if (role !== "admin" && role !== "member") throw new GroupError(400, "Role must be admin or member");
+    const group = await loadForMember(groupId, actor);
+    if (roleOf(group, actor) !== "owner") throw new GroupError(403, "Only the owner can change roles");
+    const member = group.members.find(m => m.username === target);
+    if (!member) throw new GroupError(404, "Not a member of this group");
+    if (member.role === "owner") throw new GroupError(400, "The owner's role cannot be changed");
+
+    member.role = role;
+    return storage.saveGroup(group);
+  }
+
+  return {
+    loadForMember,
+    createGroup,
+    listGroups,
+    inviteMembers,
+    removeMember,
+    leaveGroup,
+    renameGroup,
+    setRole,
+  };
+}
+
+module.exports = { GroupError, memberNames, toJSON, createGroupService };
@@ -0,0 +1,191 @@
+// services/integrations.js — API tokens for posting from outside, and outgoing webhook subscriptions
+const crypto = require("crypto");
+const net = require("net");
+const { isGroupId, conversationIdFor, requireConversation } = require("../utils/conversation");
+const { StatusError } = require("../utils/errors");
+
+const TOKEN_PREFIX = "cx_";
+const MAX_NAME_LENGTH = 50;
+const MAX_TOKENS_PER_USER = 20;
+const MAX_WEBHOOKS_PER_USER = 10;
+const MAX_WEBHOOK_CONVERSATIONS = 50;
+const MAX_URL_LENGTH = 2000;
+// Webhooks to this machine or the private network are refused unless explicitly allowed (e.g. for local testing)
+const ALLOW_PRIVATE_WEBHOOKS = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+
+class IntegrationError extends StatusError {}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function validateName(name) {
+  if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    throw new IntegrationError(400, `Name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  return name.trim();
+}
+
+// Only catches literal addresses; a public hostname that resolves inside the network still gets through
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".internal")) return true;
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split(".").map(Number);
+    return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+  }
+  if (net.isIPv6(host)) return host === "::1" || host === "::" || /^f[cd]/.test(host) || host.startsWith("fe80:") || host.startsWith("::ffff:");
+  return false;
+}
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new IntegrationError(400, "Webhook URL is not valid");
+  }
+  if (url.length > MAX_URL_LENGTH || !["http:", "https:"].includes(parsed.protocol) || parsed.username || parsed.password) {
+    throw new IntegrationError(400, "Webhook URL must be http(s) without credentials");
+  }
+  if (!ALLOW_PRIVATE_WEBHOOKS && isPrivateHost(parsed.hostname)) {
+    throw new IntegrationError(400, "Webhook URL must not point at a private address");
+  }
+  return parsed.toString();
+}
+
+function tokenJSON({ id, name, groupId, createdAt }) {
+  return { id, name, groupId: groupId || null, createdAt };
+}
+
+function webhookJSON({ id, url, conversations, createdAt }) {
+  return { id, url, conversations: conversations.map(c => c.peer), createdAt };
+}
+
+function deliveryJSON(d) {
+  return {
+    id: d.id,
+    event: d.event,
+    messageId: d.messageId || null,
+    status: d.status,
+    attempts: d.attempts,
+    responseStatus: d.responseStatus ?? null,
+    error: d.error || null,
+    createdAt: d.createdAt,
+    deliveredAt: d.deliveredAt || null,
+    nextAttemptAt: d.status === "pending" ? d.nextAttemptAt : null,
+  };
+}
+
+// `groupMembers(groupId)` resolves current member names; `loadGroup(groupId)` returns the stored group with roles
+function createIntegrationService(storage, { groupMembers, loadGroup }) {
+  // --- API tokens ---
+
+  // A group-scoped token can only post into that group, and only an owner or admin may create one
+  async function createToken(owner, { name, groupId } = {}) {
+    const cleanName = validateName(name);
+    if (groupId !== undefined && groupId !== null) {
+      const group = isGroupId(groupId) ? await loadGroup(groupId) : null;
+      const member = group && group.members.find(m => m.username === owner);
+      if (!member) throw new IntegrationError(404, "Group not found");
+      if (member.role !== "owner" && member.role !== "admin") {
+        throw new IntegrationError(403, "Only the group's owner or an admin can create a token for it");
+      }
+    }
+    if ((await storage.listApiTokens(owner)).length >= MAX_TOKENS_PER_USER) {
+      throw new IntegrationError(400, `You can have at most ${MAX_TOKENS_PER_USER} tokens`);
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString("base64url");
+    const stored = await storage.createApiToken({
+      id: crypto.randomBytes(8).toString("hex"),
+      owner,
+      name: cleanName,
+      groupId: groupId || undefined,
+      tokenHash: hashToken(token),
+    });
+    // The only time the token itself is ever returned
+    return { ...tokenJSON(stored), token };
+  }
+
+  async function listTokens(owner) {
+    return (await storage.listApiTokens(owner)).map(tokenJSON);
+  }
+
+  async function revokeToken(owner, id) {
+    const token = (await storage.listApiTokens(owner)).find(t => t.id === id);
+    if (!token) throw new IntegrationError(404, "Token not found");
+    await storage.deleteApiToken(id);
+  }
+
+  // The stored token for a bearer value, or null
+  async function authenticate(token) {
+    if (typeof token !== "string" || !token.startsWith(TOKEN_PREFIX)) return null;
+    return storage.findApiToken(hashToken(token));
+  }
+
+  // Checked on every post, so a token stops working for a group its owner has left
+  async function authorizePost(apiToken, recipient) {
+    if (apiToken.groupId && recipient !== apiToken.groupId) {
+      throw new IntegrationError(403, "This token can only post into its group");
+    }
+    await requireConversation(storage, groupMembers, apiToken.owner, recipient, { ErrorClass: IntegrationError, allowSelf: false });
+  }
+
+  // --- webhooks ---
+
+  async function createWebhook(owner, { url, conversations } = {}) {
+    const cleanUrl = validateUrl(typeof url === "string" ? url : "");
+    if (!Array.isArray(conversations) || !conversations.length || conversations.length > MAX_WEBHOOK_CONVERSATIONS) {
+      throw new IntegrationError(400, `Pick 1-${MAX_WEBHOOK_CONVERSATIONS} conversations`);
+    }
+    const peers = [...new Set(conversations)];
+    for (const peer of peers) await requireConversation(storage, groupMembers, owner, peer, { ErrorClass: IntegrationError, allowSelf: false });
+    if ((await storage.listWebhooks(owner)).length >= MAX_WEBHOOKS_PER_USER) {
+      throw new IntegrationError(400, `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+    }
+
+    const secret = crypto.randomBytes(32).toString("hex");
+    const webhook = await storage.createWebhook({
+      id: crypto.randomBytes(8).toString("hex"),
+      owner,
+      url: cleanUrl,
+      secret,
+      conversations: peers.map(peer => ({ conversationId: conversationIdFor(owner, peer), peer })),
+    });
+    // Receivers need the secret to check signatures; like tokens, it's only shown now
+    return { ...webhookJSON(webhook), secret };
+  }
+
+  async function loadOwnWebhook(owner, id) {
+    const webhook = await storage.findWebhook(id);
+    if (!webhook || webhook.owner !== owner) throw new IntegrationError(404, "Webhook not found");
+    return webhook;
+  }
+
+  async function listWebhooks(owner) {
+    return (await storage.listWebhooks(owner)).map(webhookJSON);
+  }
+
+  async function deleteWebhook(owner, id) {
+    await loadOwnWebhook(owner, id);
+    await storage.deleteWebhook(id);
+  }
+
+  async function listDeliveries(owner, id, limit) {
+    await loadOwnWebhook(owner, id);
+    return (await storage.listDeliveries(id, limit)).map(deliveryJSON);
+  }
+
+  return {
+    createToken,
+    listTokens,
+    revokeToken,
+    authenticate,
+    authorizePost,
+    createWebhook,
+    listWebhooks,
+    deleteWebhook,
+    listDeliveries,
+  };
+}
+
+module.exports = { IntegrationError, createIntegrationService };
@@ -0,0 +1,69 @@
+// services/keys.js — the public key directory behind end-to-end encrypted direct messages
+//
+// Each user has one ECDH P-256 key pair, made by their browser, which keeps the private half and publishes the
+// public half here as base64 SPKI. The private half can't leave that browser, so encrypted chats work in it alone:
+// another device can't publish a key of its own until the user removes the published one on purpose. An encrypted message carries only ciphertext plus the two public keys it was
+// made with; the server checks that those are the keys currently published and never sees the text.
+const { isGroupId } = require("../utils/conversation");
+const { StatusError } = require("../utils/errors");
+
+class KeyError extends StatusError {}
+
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+// A P-256 public key as SPKI is 91 bytes, 124 characters of base64
+const PUBLIC_KEY_LENGTH = 124;
+const IV_LENGTH = 16; // 12-byte AES-GCM nonce
+// The longest message moderation allows (5000 characters, up to 3 bytes each in UTF-8) plus the 16-byte tag
+const MAX_CIPHERTEXT_LENGTH = Math.ceil((5000 * 3 + 16) / 3) * 4;
+
+const isBase64 = (value, length, max = length) =>
+  typeof value === "string" && value.length >= length && value.length <= max && value.length % 4 === 0 && BASE64.test(value);
+
+// `isBot(username)` tells built-in bots apart; they can't read what they can't decrypt
+function createKeyService(storage, { isBot }) {
+  async function publish(username, publicKey) {
+    if (!isBase64(publicKey, PUBLIC_KEY_LENGTH)) throw new KeyError(400, "publicKey must be a base64 SPKI P-256 key");
+    const user = await storage.findUser(username);
+    if (!user) throw new KeyError(404, "User not found");
+    if (user.publicKey === publicKey) return { username, publicKey, updatedAt: user.publicKeyAt, changed: false };
+    // Replacing it would leave the browser that holds it unable to read anything new
+    if (user.publicKey) throw new KeyError(409, "Encrypted chats are set up in another browser; remove that key first to use them here");
+    const updatedAt = new Date();
+    await storage.updateUser(username, { publicKey, publicKeyAt: updatedAt });
+    return { username, publicKey, updatedAt, changed: true };
+  }
+
+  // Messages encrypted to the removed key can't be read anywhere afterwards
+  async function remove(username) {
+    await keyOf(username);
+    await storage.updateUser(username, { publicKey: undefined, publicKeyAt: undefined });
+  }
+
+  async function keyOf(username) {
+    const user = typeof username === "string" && username ? await storage.findUser(username) : null;
+    if (!user || !user.publicKey) throw new KeyError(404, "No encryption key for that user");
+    return { username, publicKey: user.publicKey, updatedAt: user.publicKeyAt };
+  }
+
+  // The envelope of an encrypted message from `sender` to `recipient`, with only the fields it should have
+  async function checkEnvelope(sender, recipient, envelope) {
+    if (isGroupId(recipient) || isBot(recipient)) throw new KeyError(400, "Only direct messages between people can be encrypted");
+    const { ciphertext, iv, senderKey, recipientKey } = envelope;
+    if (!isBase64(ciphertext, 4, MAX_CIPHERTEXT_LENGTH)) throw new KeyError(400, "ciphertext must be base64");
+    if (!isBase64(iv, IV_LENGTH)) throw new KeyError(400, "iv must be a base64 12-byte nonce");
+    if (!isBase64(senderKey, PUBLIC_KEY_LENGTH) || !isBase64(recipientKey, PUBLIC_KEY_LENGTH)) {
+      throw new KeyError(400, "senderKey and recipientKey must be base64 SPKI keys");
+    }
+
+    // A message made with an old key couldn't be read (or, for the sender's, verified) by the other side
+    const [mine, theirs] = await Promise.all([sender, recipient].map(name => keyOf(name).catch(() => null)));
+    if (!theirs) throw new KeyError(400, `${recipient} hasn't set up encryption`);
+    if (recipientKey !== theirs.publicKey) throw new KeyError(409, `${recipient}'s encryption key changed`);
+    if (!mine || senderKey !== mine.publicKey) throw new KeyError(409, "Your encryption key changed on another device");
+    return { ciphertext, iv, senderKey, recipientKey };
+  }
+
+  return { publish, remove, keyOf, checkEnvelope };
+}
+
+module.exports = { KeyError, createKeyService };
@@ -0,0 +1,108 @@
+// services/messages.js — editing, deleting and reacting to stored messages
+const { isGroupId } = require("../utils/conversation");
+const { analyzeMood } = require("../utils/mood");
+const { StatusError } = require("../utils/errors");
+
+const MAX_EMOJI_LENGTH = 16;
+
+class MessageError extends StatusError {}
+
+// One emoji, including skin tones, ZWJ sequences and flags; also keeps "." and "$" out of Mongo map keys
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const PICTOGRAPH = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+function validateEmoji(emoji) {
+  if (typeof emoji !== "string" || emoji.length > MAX_EMOJI_LENGTH || !EMOJI_PATTERN.test(emoji) || !PICTOGRAPH.test(emoji)) {
+    throw new MessageError(400, "Reaction must be a single emoji");
+  }
+  return emoji;
+}
+
+// `groupMembers(groupId)` resolves current member names; `moderator` reviews edited text like new messages
+function createMessageService(storage, { groupMembers, moderator }) {
+  // Both ends of a direct message, or the group's current members
+  async function participantsOf(message) {
+    if (!isGroupId(message.recipient)) return [message.sender, message.recipient];
+    return (await groupMembers(message.recipient)) || [];
+  }
+
+  async function loadForParticipant(id, username) {
+    const [message] = typeof id === "string" && id ? await storage.getMessages([id]) : [];
+    if (!message || !(await participantsOf(message)).includes(username)) throw new MessageError(404, "Message not found");
+    return message;
+  }
+
+  async function loadOwn(id, username) {
+    const message = await loadForParticipant(id, username);
+    if (message.sender !== username) throw new MessageError(403, "You can only change your own messages");
+    if (message.deletedAt) throw new MessageError(410, "Message was deleted");
+    return message;
+  }
+
+  // Direct messages only go to users who exist, or whoever registers the name later would inherit them
+  async function checkRecipient(recipient) {
+    if (!isGroupId(recipient) && !(await storage.existingUsernames([recipient])).length) {
+      throw new MessageError(404, `User ${recipient} not found`);
+    }
+  }
+
+  // What a new message in `conversationId` quotes and which thread it's posted in. Both have to be in the same
+  // conversation, and threads don't nest: a thread's replies can be quoted but can't start threads themselves.
+  async function checkReferences(username, conversationId, { replyTo, threadId }) {
+    const load = async (id) => {
+      const message = await loadForParticipant(id, username);
+      if (message.conversationId !== conversationId) throw new MessageError(400, "That message is in another conversation");
+      return message;
+    };
+    const quoted = replyTo ? await load(replyTo) : null;
+    const root = threadId ? await load(threadId) : null;
+    if (root && root.threadId) throw new MessageError(400, "Replies in a thread can't have threads of their own");
+    if (root && root.deletedAt) throw new MessageError(410, "Message was deleted");
+    return { quoted, root };
+  }
+
+  // The root of the thread `id` starts or belongs to
+  async function threadOf(id, username) {
+    const message = await loadForParticipant(id, username);
+    return message.threadId ? loadForParticipant(message.threadId, username) : message;
+  }
+
+  async function editMessage(id, username, text) {
+    if (typeof text !== "string" || !text.trim()) throw new MessageError(400, "Message text required");
+    const message = await loadOwn(id, username);
+    if (message.encrypted) throw new MessageError(400, "Encrypted messages can't be edited");
+    if (text === message.message) return message;
+    const { text: reviewed, flags } = moderator.review(username, text, { edit: true });
+    const { mood, score } = analyzeMood(reviewed);
+    const edited = await storage.editMessage(id, { message: reviewed, mood, moodScore: score, flags }, new Date());
+    if (!edited) throw new MessageError(410, "Message was deleted");
+    return edited;
+  }
+
+  // "everyone" leaves a tombstone for all participants; "me" only hides it from the caller's history
+  async function deleteMessage(id, username, scope = "everyone") {
+    if (scope === "me") {
+      const message = await loadForParticipant(id, username);
+      await storage.hideMessage(message.id, username);
+      return { scope, message };
+    }
+    if (scope !== "everyone") throw new MessageError(400, 'Scope must be "me" or "everyone"');
+    await loadOwn(id, username);
+    const deleted = await storage.deleteMessage(id, new Date());
+    if (!deleted) throw new MessageError(410, "Message was deleted");
+    return { scope, message: deleted };
+  }
+
+  async function toggleReaction(id, username, emoji) {
+    validateEmoji(emoji);
+    const message = await loadForParticipant(id, username);
+    if (message.deletedAt) throw new MessageError(410, "Message was deleted");
+    const updated = await storage.toggleReaction(id, username, emoji);
+    if (!updated) throw new MessageError(410, "Message was deleted");
+    return updated;
+  }
+
+  return { participantsOf, loadForParticipant, checkRecipient, checkReferences, threadOf, editMessage, deleteMessage, toggleReaction };
+}
+
+module.exports = { MessageError, createMessageService };
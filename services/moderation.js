@@ -0,0 +1,138 @@
+// services/moderation.js — checks message text before it's stored
+//
+// Rules run in order: length, duplicates, word filter, links, spam heuristics. Each has an action:
+//   "block" rejects the message, "mask" stars out what matched, "flag" lets it through marked with the rule's name,
+//   "off" skips the rule. Defaults can be overridden with a JSON file named by MODERATION_CONFIG, e.g.
+//   { "words": { "list": ["darn"], "action": "block" }, "links": { "maxLinks": 1 } }
+const fs = require("fs");
+const { StatusError } = require("../utils/errors");
+
+const DEFAULTS = {
+  maxLength: 5000,
+  // Repeating the same text this many times within the window, in one conversation, is refused
+  duplicates: { action: "block", maxRepeats: 3, windowMs: 60 * 1000 },
+  words: { action: "mask", list: ["fuck", "shit", "bitch", "asshole", "cunt", "bastard", "motherfucker"] },
+  // More links than this is flagged; a blocked domain (or any subdomain of it) gets `blockedAction`
+  links: { action: "flag", maxLinks: 3, blockedDomains: [], blockedAction: "block" },
+  // Mostly capitals in a longer message, one character repeated many times, or a giant unbroken "word"
+  spam: { action: "flag", minLetters: 20, maxCapsRatio: 0.7, maxRepeatedChars: 10, maxWordLength: 60 },
+};
+
+const ACTIONS = ["block", "mask", "flag", "off"];
+const RECENT_PER_CONVERSATION = 20;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|ru|xyz|info|biz|ly|gg|co|me)\b(?:\/[^\s<>"]*)?/gi;
+
+class ModerationError extends StatusError {
+  constructor(status, message, rule) {
+    super(status, message);
+    this.rule = rule;
+  }
+}
+
+function loadModerationConfig(file = process.env.MODERATION_CONFIG) {
+  if (!file) return DEFAULTS;
+  const overrides = JSON.parse(fs.readFileSync(file, "utf8"));
+  const config = { ...DEFAULTS, ...overrides };
+  for (const rule of ["duplicates", "words", "links", "spam"]) {
+    config[rule] = { ...DEFAULTS[rule], ...overrides[rule] };
+    if (!ACTIONS.includes(config[rule].action)) throw new Error(`Moderation rule "${rule}" has an unknown action "${config[rule].action}"`);
+  }
+  return config;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// Same text for duplicate detection whatever the case or spacing
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, " ").trim();
+
+function hostOf(link) {
+  try {
+    return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function createModerator(config = loadModerationConfig()) {
+  const recent = new Map(); // `${username}\n${conversationId}` -> [{ text, at }] of their latest messages there, oldest first
+  // Whole words, with an optional trailing "s"/"es"/"ed"/"ing" so the obvious variants are caught too
+  const wordPattern = config.words.list.length
+    ? new RegExp(`\\b(?:${config.words.list.map(escapeRegExp).join("|")})(?:s|es|ed|ing)?\\b`, "giu")
+    : null;
+  const blockedDomains = config.links.blockedDomains.map(d => d.toLowerCase());
+
+  // Saying "hi" to several people isn't flooding, so only repeats within one conversation count
+  function checkDuplicate(username, conversationId, text, now) {
+    const rule = config.duplicates;
+    const recentKey = `${username}\n${conversationId}`;
+    const key = normalize(text);
+    const list = (recent.get(recentKey) || []).filter(entry => now - entry.at < rule.windowMs);
+    const repeats = list.filter(entry => entry.text === key).length;
+    list.push({ text: key, at: now });
+    recent.set(recentKey, list.slice(-RECENT_PER_CONVERSATION));
+    return repeats + 1 >= rule.maxRepeats;
+  }
+
+  function linkVerdict(text) {
+    const links = text.match(LINK_PATTERN) || [];
+    const blocked = links.some(link => {
+      const host = hostOf(link);
+      return host && blockedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    });
+    if (blocked) return { action: config.links.blockedAction, links, reason: "That link isn't allowed here" };
+    if (links.length > config.links.maxLinks) return { action: config.links.action, links, reason: `Messages can contain at most ${config.links.maxLinks} links` };
+    return null;
+  }
+
+  function looksLikeSpam(text) {
+    const rule = config.spam;
+    const letters = text.match(/\p{L}/gu) || [];
+    const capitals = letters.filter(c => c !== c.toLowerCase() && c === c.toUpperCase()).length;
+    if (letters.length >= rule.minLetters && capitals / letters.length > rule.maxCapsRatio) return true;
+    if (new RegExp(`(.)\\1{${rule.maxRepeatedChars - 1},}`, "su").test(text)) return true;
+    return text.split(/\s+/).some(word => word.length > rule.maxWordLength && !/^(?:https?:\/\/|www\.)/i.test(word));
+  }
+
+  function apply(rule, action, reason) {
+    if (action === "block") throw new ModerationError(422, reason, rule);
+    return action === "off" ? null : action;
+  }
+
+  // Returns { text, flags } with the text as it should be stored; throws ModerationError when a rule blocks it.
+  // `conversationId` is where a new message is going. Edits skip the duplicate check: fixing a typo isn't saying the same thing again.
+  function review(username, text, { edit = false, conversationId } = {}) {
+    const flags = [];
+    if (!text) return { text, flags };
+    if (text.length > config.maxLength) throw new ModerationError(413, `Messages can be at most ${config.maxLength} characters`, "length");
+
+    if (!edit && config.duplicates.action !== "off" && checkDuplicate(username, conversationId, text, Date.now())) {
+      if (apply("duplicates", config.duplicates.action, "You've already sent that, wait a moment before repeating it")) flags.push("duplicate");
+    }
+
+    let result = text;
+    if (wordPattern && config.words.action !== "off") {
+      wordPattern.lastIndex = 0;
+      if (wordPattern.test(result)) {
+        const action = apply("words", config.words.action, "That message contains words that aren't allowed");
+        if (action === "mask") result = result.replace(wordPattern, word => "*".repeat(word.length));
+        else flags.push("words");
+      }
+    }
+
+    const links = config.links.action !== "off" || blockedDomains.length ? linkVerdict(result) : null;
+    if (links) {
+      const action = apply("links", links.action, links.reason);
+      if (action === "mask") links.links.forEach(link => { result = result.split(link).join("[link removed]"); });
+      else if (action) flags.push("links");
+    }
+
+    if (config.spam.action !== "off" && looksLikeSpam(result)) {
+      if (apply("spam", config.spam.action, "That looks like spam")) flags.push("spam");
+    }
+
+    return { text: result, flags };
+  }
+
+  return { review };
+}
+
+module.exports = { ModerationError, loadModerationConfig, createModerator };
@@ -0,0 +1,63 @@
+// services/moods.js — how a conversation has felt over time, from the mood stored with each message
+const { conversationIdFor, requireConversation } = require("../utils/conversation");
+const { MOODS, analyzeMood } = require("../utils/mood");
+const { StatusError } = require("../utils/errors");
+
+const DEFAULT_TIMELINE_MESSAGES = 50;
+const MAX_TIMELINE_MESSAGES = 500;
+const DEFAULT_WINDOW = 5;
+const MAX_WINDOW = 50;
+
+class MoodError extends StatusError {}
+
+const round = (value) => Math.round(value * 100) / 100;
+const average = (scores) => (scores.length ? round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null);
+
+function clampInt(value, fallback, max) {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+}
+
+// Messages stored before scores were kept only have a label, so those are scored again from their text
+function scored(message) {
+  if (typeof message.moodScore === "number" && message.mood) return { mood: message.mood, score: message.moodScore };
+  return analyzeMood(message.message);
+}
+
+// `groupMembers(groupId)` resolves current member names
+function createMoodService(storage, { groupMembers }) {
+  // The last `limit` text messages, oldest first, each with the average of the `window` messages up to and including it
+  async function timeline(username, peer, { limit, window } = {}) {
+    await requireConversation(storage, groupMembers, username, peer, { ErrorClass: MoodError });
+    const count = clampInt(limit, DEFAULT_TIMELINE_MESSAGES, MAX_TIMELINE_MESSAGES);
+    const size = clampInt(window, DEFAULT_WINDOW, MAX_WINDOW);
+    const page = await storage.listMessages(conversationIdFor(username, peer), { limit: count, viewer: username });
+
+    const counts = Object.fromEntries(MOODS.map(mood => [mood, 0]));
+    const bySender = {};
+    const points = page.messages.filter(m => !m.deletedAt && m.message).map(message => {
+      const { mood, score } = scored(message);
+      counts[mood]++;
+      (bySender[message.sender] = bySender[message.sender] || []).push(score);
+      return { id: message.id, sender: message.sender, timestamp: message.timestamp, mood, score };
+    });
+    const scores = points.map(p => p.score);
+
+    return {
+      peer,
+      window: size,
+      messageCount: points.length,
+      average: average(scores),
+      counts,
+      participants: Object.fromEntries(Object.entries(bySender).map(([sender, list]) =>
+        [sender, { messageCount: list.length, average: average(list) }])),
+      timeline: points.map((point, index) => ({
+        ...point,
+        rollingAverage: average(scores.slice(Math.max(0, index - size + 1), index + 1)),
+      })),
+    };
+  }
+
+  return { timeline };
+}
+
+module.exports = { MoodError, createMoodService };
@@ -0,0 +1,129 @@
+// services/presence.js — who sees whose presence, and the status people set for themselves
+//
+// A user's presence goes to the people they have a direct chat with and the members of their groups (plus every bot),
+// never to everyone online. Each device reports its own activity (online, idle or away); the user counts as the most
+// active of them, or "dnd" while do-not-disturb is on. The custom status text is only shown while they're connected.
+const { memberNames } = require("./groups");
+const { MAX_STATUS_LENGTH } = require("../utils/profile");
+const { StatusError } = require("../utils/errors");
+
+const ACTIVITIES = ["online", "idle", "away"]; // most active first
+const NONE = new Set();
+
+class PresenceError extends StatusError {}
+
+const isActivity = (value) => ACTIVITIES.includes(value);
+
+// `botUsernames()` lists the bots, which everyone can see
+function createPresenceService(storage, { botUsernames }) {
+  const statuses = new Map(); // connected user -> { statusText, doNotDisturb }
+  const watching = new Map(); // connected user -> Set of users whose presence they're sent
+  const watchers = new Map(); // user -> Set of connected users watching them
+
+  async function watchListOf(username) {
+    const [user, groups] = await Promise.all([storage.findUser(username), storage.listGroupsFor(username)]);
+    const list = new Set([...((user && user.contacts) || []), ...groups.flatMap(memberNames), ...botUsernames()]);
+    list.delete(username);
+    return { user, list };
+  }
+
+  function unwatch(viewer) {
+    (watching.get(viewer) || NONE).forEach(user => {
+      const set = watchers.get(user);
+      set.delete(viewer);
+      if (!set.size) watchers.delete(user);
+    });
+    watching.delete(viewer);
+  }
+
+  function watch(viewer, list) {
+    unwatch(viewer);
+    watching.set(viewer, list);
+    list.forEach(user => {
+      if (!watchers.has(user)) watchers.set(user, new Set());
+      watchers.get(user).add(viewer);
+    });
+  }
+
+  // Caches a connecting user's status and watch list until they're forgotten
+  async function load(username) {
+    const { user, list } = await watchListOf(username);
+    statuses.set(username, { statusText: (user && user.statusText) || null, doNotDisturb: Boolean(user && user.doNotDisturb) });
+    watch(username, list);
+  }
+
+  // After contacts or group memberships change; returns the users newly added to the list
+  async function reloadWatchList(username) {
+    const before = watching.get(username) || NONE;
+    const { list } = await watchListOf(username);
+    if (!statuses.has(username)) return []; // disconnected meanwhile
+    watch(username, list);
+    return [...list].filter(user => !before.has(user));
+  }
+
+  function forget(username) {
+    unwatch(username);
+    statuses.delete(username);
+  }
+
+  // How a connected user shows up given the activity of their devices on one instance
+  function stateOf(username, activities) {
+    const { statusText, doNotDisturb } = statuses.get(username) || {};
+    const status = doNotDisturb ? "dnd" : ACTIVITIES.find(activity => activities.includes(activity)) || "online";
+    return statusText ? { status, statusText } : { status };
+  }
+
+  // Combines the states several instances report for the same user
+  function merge(states) {
+    const statusList = states.map(s => s.status);
+    const status = statusList.includes("dnd") ? "dnd" : ACTIVITIES.find(activity => statusList.includes(activity));
+    const withText = states.find(s => s.statusText);
+    return withText ? { status, statusText: withText.statusText } : { status };
+  }
+
+  // Body: { statusText?, doNotDisturb? }; null or "" clears the text. Stored, but only applied once the caller says so.
+  async function saveStatus(username, input) {
+    const { statusText, doNotDisturb } = input;
+    if (statusText === undefined && doNotDisturb === undefined) throw new PresenceError(400, "Nothing to update");
+    if (statusText !== undefined && statusText !== null && typeof statusText !== "string") throw new PresenceError(400, "statusText must be a string");
+    if (doNotDisturb !== undefined && typeof doNotDisturb !== "boolean") throw new PresenceError(400, "doNotDisturb must be true or false");
+    const text = typeof statusText === "string" ? statusText.trim() : statusText;
+    if (text && text.length > MAX_STATUS_LENGTH) throw new PresenceError(400, `Status must be at most ${MAX_STATUS_LENGTH} characters`);
+
+    const fields = {};
+    // Cleared fields go to storage as undefined, which every backend treats as "remove"
+    if (statusText !== undefined) fields.statusText = text || undefined;
+    if (doNotDisturb !== undefined) fields.doNotDisturb = doNotDisturb || undefined;
+    const user = await storage.updateUser(username, fields);
+    if (!user) throw new PresenceError(404, "User not found");
+    return { statusText: user.statusText || null, doNotDisturb: Boolean(user.doNotDisturb) };
+  }
+
+  function applyStatus(username, status) {
+    if (statuses.has(username)) statuses.set(username, status);
+  }
+
+  async function statusOf(username) {
+    if (statuses.has(username)) return statuses.get(username);
+    const [stored] = await storage.listPresence([username]);
+    if (!stored) throw new PresenceError(404, "User not found");
+    return { statusText: stored.statusText || null, doNotDisturb: stored.doNotDisturb };
+  }
+
+  return {
+    isActivity,
+    load,
+    reloadWatchList,
+    forget,
+    isLoaded: (username) => statuses.has(username),
+    watching: (viewer) => watching.get(viewer) || NONE,
+    watchersOf: (user) => watchers.get(user) || NONE,
+    stateOf,
+    merge,
+    saveStatus,
+    applyStatus,
+    statusOf,
+  };
+}
+
+module.exports = { PresenceError, createPresenceService };
@@ -0,0 +1,115 @@
+// services/privacy.js — blocking users and muting conversations
+//
+// A block works both ways: neither side can send the other direct messages or typing updates, and neither
+// sees the other online. Group conversations are unaffected. A mute only stops a conversation's notifications.
+const { isGroupId, conversationIdFor, requireConversation } = require("../utils/conversation");
+const { StatusError } = require("../utils/errors");
+
+class PrivacyError extends StatusError {}
+
+// `groupMembers(groupId)` resolves current member names; `isBot(username)` tells built-in bots apart
+function createPrivacyService(storage, { groupMembers, isBot }) {
+  // username -> { blocked, blockedBy } as Sets; kept for connected users so presence can be filtered synchronously
+  const relations = new Map();
+
+  async function fetchRelations(username) {
+    const { blocked, blockedBy } = await storage.blockRelations(username);
+    return { blocked: new Set(blocked.map(b => b.username)), blockedBy: new Set(blockedBy) };
+  }
+
+  // Caches a connected user's relations; call again whenever they may have changed
+  async function load(username) {
+    const entry = await fetchRelations(username);
+    relations.set(username, entry);
+    return entry;
+  }
+
+  // Users who aren't connected (API tokens, bots' peers) are looked up without being cached
+  const relationsOf = (username) => relations.get(username) || fetchRelations(username);
+
+  // Everyone `username` shouldn't see online; empty until their relations are loaded
+  function hiddenFrom(username) {
+    const entry = relations.get(username);
+    return entry ? new Set([...entry.blocked, ...entry.blockedBy]) : new Set();
+  }
+
+  // "blocked" when `username` blocked `other`, "blockedBy" when it's the other way round, otherwise null
+  async function blockStatus(username, other) {
+    const entry = await relationsOf(username);
+    if (entry.blocked.has(other)) return "blocked";
+    if (entry.blockedBy.has(other)) return "blockedBy";
+    return null;
+  }
+
+  async function requireUser(username, target) {
+    if (typeof target !== "string" || !target || target === username) throw new PrivacyError(400, "Pick another user");
+    if (isBot(target)) throw new PrivacyError(400, "Bots can't be blocked; mute the chat instead");
+    if (isGroupId(target) || !(await storage.existingUsernames([target])).length) throw new PrivacyError(404, "User not found");
+  }
+
+  // Both users' cached relations change; the caller refreshes their presence
+  async function block(username, target) {
+    await requireUser(username, target);
+    await storage.blockUser(username, target);
+    await Promise.all([load(username), relations.has(target) && load(target)]);
+  }
+
+  async function unblock(username, target) {
+    if (!(await storage.unblockUser(username, target))) throw new PrivacyError(404, "That user isn't blocked");
+    await Promise.all([load(username), relations.has(target) && load(target)]);
+  }
+
+  async function listBlocked(username) {
+    return (await storage.blockRelations(username)).blocked;
+  }
+
+  // --- mutes ---
+
+  // Without `until` the conversation stays muted until unmuted
+  async function mute(username, peer, { until } = {}) {
+    await requireConversation(storage, groupMembers, username, peer, { ErrorClass: PrivacyError, allowSelf: false });
+    let end = null;
+    if (until !== undefined && until !== null) {
+      end = new Date(until);
+      if (Number.isNaN(end.getTime()) || end <= new Date()) throw new PrivacyError(400, "until must be a time in the future");
+    }
+    await storage.muteConversation(username, conversationIdFor(username, peer), { peer, until: end || undefined });
+    return { peer, until: end };
+  }
+
+  async function unmute(username, peer) {
+    if (typeof peer !== "string" || !peer) throw new PrivacyError(400, "Missing peer");
+    if (!(await storage.unmuteConversation(username, conversationIdFor(username, peer)))) {
+      throw new PrivacyError(404, "That conversation isn't muted");
+    }
+  }
+
+  // Mutes that haven't run out, as { peer, until }
+  async function listMutes(username) {
+    const now = new Date();
+    return (await storage.listMutes(username))
+      .filter(m => !m.until || m.until > now)
+      .map(({ peer, until }) => ({ peer, until: until || null }));
+  }
+
+  async function mutedIn(conversationId) {
+    return new Set(await storage.mutedUsers(conversationId, new Date()));
+  }
+
+  return {
+    load,
+    forget: (username) => relations.delete(username),
+    isCached: (username) => relations.has(username),
+    hiddenFrom,
+    blockStatus,
+    block,
+    unblock,
+    listBlocked,
+    mute,
+    unmute,
+    listMutes,
+    mutedIn,
+  };
+}
+
+module.exports = { PrivacyError, createPrivacyService };
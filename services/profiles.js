@@ -0,0 +1,96 @@
+// services/profiles.js — public profiles and profile pictures
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { validateProfile } = require("../utils/profile");
+const { StatusError } = require("../utils/errors");
+
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
+const AVATAR_SIZE = 256;
+const AVATAR_TYPES = new Set(["image/jpeg", "image/png", "image/webp", "image/gif"]);
+
+class ProfileError extends StatusError {}
+
+// What other users see; date of birth and gender are only shown to the profile's owner.
+// The avatar URL changes with every new picture, so clients can cache it freely.
+function toProfile(user, viewer) {
+  const profile = {
+    username: user.username,
+    displayName: user.displayName || null,
+    bio: user.bio || null,
+    avatar: user.avatar ? `/users/${encodeURIComponent(user.username)}/avatar?v=${user.avatar}` : null,
+  };
+  if (user.bot) profile.bot = true;
+  if (viewer === user.username) {
+    profile.dob = user.dob || null;
+    profile.gender = user.gender || null;
+  }
+  return profile;
+}
+
+// Cleared fields are passed to storage as undefined, which every backend treats as "remove"
+function storageFields(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, value ?? undefined]));
+}
+
+function createProfileService(storage, files) {
+  async function loadUser(username) {
+    const user = await storage.findUser(username);
+    if (!user) throw new ProfileError(404, "User not found");
+    return user;
+  }
+
+  async function getProfile(username, viewer) {
+    return toProfile(await loadUser(username), viewer);
+  }
+
+  async function updateProfile(username, input) {
+    const { fields, error } = validateProfile(input || {});
+    if (error) throw new ProfileError(400, error);
+    if (!Object.keys(fields).length) throw new ProfileError(400, "Nothing to update");
+    await loadUser(username);
+    return toProfile(await storage.updateUser(username, storageFields(fields)), username);
+  }
+
+  // Square-crops and re-encodes the upload, which also drops any EXIF data such as GPS position
+  async function prepareAvatar(file) {
+    if (!file) throw new ProfileError(400, "No picture uploaded");
+    if (file.size > MAX_AVATAR_BYTES) throw new ProfileError(413, "Picture is too large");
+    if (!AVATAR_TYPES.has(file.mimetype)) throw new ProfileError(415, "Picture must be a JPEG, PNG, WebP or GIF image");
+    try {
+      return await sharp(file.buffer)
+        .rotate()
+        .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: "cover" })
+        .webp()
+        .toBuffer();
+    } catch {
+      throw new ProfileError(415, "File is not a valid image");
+    }
+  }
+
+  async function saveAvatar(username, image) {
+    const previous = (await loadUser(username)).avatar;
+    const key = `avatar-${crypto.randomBytes(8).toString("hex")}`;
+    await files.put(key, image);
+    const user = await storage.updateUser(username, { avatar: key });
+    if (previous) await files.remove(previous);
+    return toProfile(user, username);
+  }
+
+  async function removeAvatar(username) {
+    const previous = (await loadUser(username)).avatar;
+    const user = await storage.updateUser(username, { avatar: undefined });
+    if (previous) await files.remove(previous);
+    return toProfile(user, username);
+  }
+
+  async function openAvatar(username) {
+    const user = await loadUser(username);
+    const stream = user.avatar && await files.read(user.avatar);
+    if (!stream) throw new ProfileError(404, "No profile picture");
+    return stream;
+  }
+
+  return { getProfile, updateProfile, prepareAvatar, saveAvatar, removeAvatar, openAvatar };
+}
+
+module.exports = { MAX_AVATAR_BYTES, ProfileError, toProfile, createProfileService };
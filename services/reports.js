@@ -0,0 +1,92 @@
+// services/reports.js — reported messages and the admin queue they land in
+//
+// Admins are the usernames listed in ADMIN_USERS (comma-separated). A report keeps copies of the message and
+// a few around it, so the admin sees what the reporter saw even if it's edited or deleted later.
+const crypto = require("crypto");
+const { StatusError } = require("../utils/errors");
+
+const MAX_REASON_LENGTH = 500;
+const CONTEXT_BEFORE = 5;
+const CONTEXT_AFTER = 2;
+const DEFAULT_QUEUE_SIZE = 50;
+const MAX_QUEUE_SIZE = 200;
+const STATUSES = ["open", "resolved", "dismissed"];
+
+class ReportError extends StatusError {}
+
+function snapshot(message) {
+  return {
+    id: message.id,
+    sender: message.sender,
+    message: message.deletedAt ? null : message.message,
+    attachment: message.attachment ? message.attachment.name : undefined,
+    timestamp: message.timestamp,
+  };
+}
+
+const adminsFromEnv = () => (process.env.ADMIN_USERS || "").split(",").map(name => name.trim()).filter(Boolean);
+
+// `loadMessage(id, username)` is the message service's participant check and throws its own 404 for anyone else
+function createReportService(storage, { loadMessage, admins = adminsFromEnv() }) {
+  const adminSet = new Set(admins);
+  const isAdmin = (username) => adminSet.has(username);
+
+  function requireAdmin(username) {
+    if (!isAdmin(username)) throw new ReportError(403, "Only admins can see reports");
+  }
+
+  async function report(username, messageId, reason) {
+    if (typeof reason !== "string" || !reason.trim() || reason.trim().length > MAX_REASON_LENGTH) {
+      throw new ReportError(400, `Give a reason of 1-${MAX_REASON_LENGTH} characters`);
+    }
+    const message = await loadMessage(messageId, username);
+    if (message.sender === username) throw new ReportError(400, "You can't report your own message");
+    if (message.deletedAt) throw new ReportError(410, "Message was deleted");
+
+    // One report per person per message
+    const id = crypto.createHash("sha256").update(`${username}\n${message.id}`).digest("hex").slice(0, 16);
+    if (await storage.findReport(id)) throw new ReportError(409, "You already reported this message");
+
+    const viewer = username;
+    const [before, after] = await Promise.all([
+      storage.listMessages(message.conversationId, { before: message.id, limit: CONTEXT_BEFORE, viewer }),
+      storage.listMessages(message.conversationId, { after: message.id, limit: CONTEXT_AFTER, viewer }),
+    ]);
+    const stored = await storage.createReport({
+      id,
+      reporter: username,
+      reportedUser: message.sender,
+      messageId: message.id,
+      conversationId: message.conversationId,
+      reason: reason.trim(),
+      message: snapshot(message),
+      context: [...((before && before.messages) || []), message, ...((after && after.messages) || [])].map(snapshot),
+      status: "open",
+    });
+    console.warn(`🚩 ${username} reported message ${message.id} by ${message.sender}`);
+    return { id: stored.id, status: stored.status, createdAt: stored.createdAt };
+  }
+
+  async function listReports(username, { status = "open", limit } = {}) {
+    requireAdmin(username);
+    if (status !== "all" && !STATUSES.includes(status)) throw new ReportError(400, `status must be one of ${STATUSES.join(", ")} or all`);
+    const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_QUEUE_SIZE, 1), MAX_QUEUE_SIZE);
+    return storage.listReports({ status: status === "all" ? undefined : status, limit: count });
+  }
+
+  // Closes a report as resolved (action was taken) or dismissed, with an optional note
+  async function resolve(username, id, { status, resolution } = {}) {
+    requireAdmin(username);
+    if (status !== "resolved" && status !== "dismissed") throw new ReportError(400, 'status must be "resolved" or "dismissed"');
+    if (resolution !== undefined && (typeof resolution !== "string" || resolution.length > MAX_REASON_LENGTH)) {
+      throw new ReportError(400, `The note can be at most ${MAX_REASON_LENGTH} characters`);
+    }
+    const existing = await storage.findReport(id);
+    if (!existing) throw new ReportError(404, "Report not found");
+    return storage.updateReport(id, { status, resolvedBy: username, resolvedAt: new Date(), resolution: resolution || undefined });
+  }
+
+  return { isAdmin, report, listReports, resolve };
+}
+
+module.exports = { ReportError, createReportService };
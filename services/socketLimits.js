@@ -0,0 +1,82 @@
+// services/socketLimits.js — flood protection for WebSocket frames
+//
+// Every frame type falls in a category with two token buckets: one for the connection and one shared by
+// all of the user's devices (and their API tokens). A socket that keeps going after being told to slow down is closed.
+const { createRateLimiter } = require("../utils/rateLimit");
+
+// capacity = burst size, perSecond = sustained rate
+const LIMITS = {
+  connect: { connection: { capacity: 3, perSecond: 0.1 } },
+  message: { connection: { capacity: 10, perSecond: 1 }, user: { capacity: 20, perSecond: 2 } },
+  typing: { connection: { capacity: 3, perSecond: 0.5 }, user: { capacity: 6, perSecond: 1 } },
+  change: { connection: { capacity: 10, perSecond: 1 }, user: { capacity: 20, perSecond: 2 } },
+  receipt: { connection: { capacity: 30, perSecond: 5 } },
+  sync: { connection: { capacity: 10, perSecond: 2 } },
+  group: { connection: { capacity: 10, perSecond: 0.5 }, user: { capacity: 20, perSecond: 1 } },
+  other: { connection: { capacity: 20, perSecond: 5 } },
+};
+
+// Rejected frames a connection may rack up (refilling one every 5 seconds) before it's disconnected
+const STRIKES = { capacity: 20, perSecond: 0.2 };
+
+const CATEGORY_NAMES = {
+  message: "messages",
+  typing: "typing updates",
+  change: "edits and reactions",
+  receipt: "receipts",
+  sync: "sync requests",
+  group: "group changes",
+};
+
+function categoryOf(type) {
+  if (type === "message" || type === "attachment") return "message";
+  if (type === "edit" || type === "delete" || type === "react") return "change";
+  if (type === "delivered" || type === "read") return "receipt";
+  if (typeof type === "string" && type.startsWith("group-")) return "group";
+  return Object.hasOwn(LIMITS, type) ? type : "other";
+}
+
+function createSocketLimits() {
+  const limiters = {};
+  for (const [category, scopes] of Object.entries(LIMITS)) {
+    limiters[category] = {
+      connection: createRateLimiter(scopes.connection),
+      user: scopes.user && createRateLimiter(scopes.user),
+    };
+  }
+  const strikes = createRateLimiter(STRIKES);
+
+  // null when the user may go ahead, otherwise { retryAfterMs, message }
+  function takeUser(username, category) {
+    const limiter = limiters[category].user;
+    const result = limiter ? limiter.take(username) : { allowed: true };
+    return result.allowed ? null : denied(category, result.retryAfterMs);
+  }
+
+  function denied(category, retryAfterMs) {
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    return { retryAfterMs, message: `Too many ${CATEGORY_NAMES[category] || "requests"}, slow down and try again in ${seconds}s` };
+  }
+
+  // Checks a frame from `connectionId` (signed in as `username`, or not yet).
+  // Returns null, or { retryAfterMs, message, disconnect } where `disconnect` means the socket should be closed.
+  function check(connectionId, username, type) {
+    const category = categoryOf(type);
+    const { connection } = limiters[category];
+    const own = connection.take(connectionId);
+    const limited = own.allowed ? (username && takeUser(username, category)) : denied(category, own.retryAfterMs);
+    if (!limited) return null;
+    // Extra typing updates are harmless to drop, so only other frames count towards a disconnect
+    return { ...limited, category, disconnect: category !== "typing" && !strikes.take(connectionId).allowed };
+  }
+
+  // A closed connection's buckets are of no further use
+  function forget(connectionId) {
+    Object.values(limiters).forEach(({ connection }) => connection.reset(connectionId));
+    strikes.reset(connectionId);
+  }
+
+  return { check, takeUser, forget };
+}
+
+module.exports = { createSocketLimits };
@@ -0,0 +1,133 @@
+// services/webhooks.js — signs and sends webhook events; failed sends are retried from the stored delivery log
+//
+// Each request carries X-ChatX-Event, X-ChatX-Delivery, X-ChatX-Timestamp (unix seconds) and
+// X-ChatX-Signature: "sha256=" + hex HMAC-SHA256 of `${timestamp}.${body}` keyed with the webhook's secret.
+const crypto = require("crypto");
+const { isGroupId, conversationIdFor } = require("../utils/conversation");
+
+// Wait before each retry; a delivery gets one attempt plus one per entry, then is marked failed
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const REQUEST_TIMEOUT_MS = 10000;
+// A claimed delivery is left alone this long, comfortably more than one attempt can take
+const LEASE_MS = REQUEST_TIMEOUT_MS * 3;
+const SWEEP_INTERVAL_MS = parseInt(process.env.WEBHOOK_SWEEP_MS, 10) || 5000;
+const SWEEP_BATCH = 20;
+const LOG_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 200;
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// `groupMembers(groupId)` resolves current member names
+function createWebhookDispatcher(storage, { groupMembers, retryDelays = RETRY_DELAYS_MS, sweepInterval = SWEEP_INTERVAL_MS }) {
+  let sweepTimer = null;
+  let lastPruneAt = 0;
+
+  async function attempt(delivery, webhook) {
+    if (!webhook) webhook = await storage.findWebhook(delivery.webhookId);
+    if (!webhook) return; // deleted meanwhile, along with its log
+
+    const attempts = delivery.attempts + 1;
+    let responseStatus;
+    let error;
+    try {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const res = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "ChatX-Webhooks/1",
+          "X-ChatX-Event": delivery.event,
+          "X-ChatX-Delivery": delivery.id,
+          "X-ChatX-Timestamp": String(timestamp),
+          "X-ChatX-Signature": sign(webhook.secret, timestamp, delivery.payload),
+        },
+        body: delivery.payload,
+        redirect: "manual", // a redirect could point anywhere, including places the URL check refused
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      responseStatus = res.status;
+      await res.body?.cancel();
+      if (res.ok) {
+        await storage.updateDelivery(delivery.id, { status: "delivered", attempts, responseStatus, error: undefined, deliveredAt: new Date() });
+        return;
+      }
+      error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.name === "TimeoutError" ? "Timed out" : String((err.cause && err.cause.code) || err.message);
+    }
+
+    const retryIn = retryDelays[attempts - 1];
+    await storage.updateDelivery(delivery.id, {
+      status: retryIn === undefined ? "failed" : "pending",
+      attempts,
+      responseStatus,
+      error: error.slice(0, MAX_ERROR_LENGTH),
+      nextAttemptAt: retryIn === undefined ? undefined : new Date(Date.now() + retryIn),
+    });
+  }
+
+  // Queues an event for every webhook watching the message's conversation and makes the first attempt right away.
+  // `source` tells receivers where the message came from ("socket", "api" or "bot"), so they can skip their own posts.
+  async function notify(message, source) {
+    const conversationId = conversationIdFor(message.sender, message.recipient);
+    const webhooks = await storage.webhooksFor(conversationId);
+    if (!webhooks.length) return;
+    const members = isGroupId(message.recipient) ? await groupMembers(message.recipient) : null;
+
+    for (const webhook of webhooks) {
+      // Someone who left a group stops getting its messages
+      if (members && !members.includes(webhook.owner)) continue;
+      const { peer } = webhook.conversations.find(c => c.conversationId === conversationId);
+      const id = crypto.randomUUID();
+      const payload = JSON.stringify({
+        id,
+        event: "message.created",
+        createdAt: new Date().toISOString(),
+        source,
+        conversation: { peer, type: members ? "group" : "direct" },
+        message: {
+          id: message.id,
+          sender: message.sender,
+          recipient: message.recipient,
+          message: message.message,
+          timestamp: message.timestamp,
+          mood: message.mood,
+          moodScore: message.moodScore,
+          attachment: message.attachment,
+        },
+      });
+      const delivery = { id, webhookId: webhook.id, event: "message.created", messageId: message.id, payload, status: "pending", attempts: 0 };
+      // Leased from the start, so the sweep doesn't send it a second time while this attempt is running
+      await storage.createDelivery({ ...delivery, nextAttemptAt: new Date(Date.now() + LEASE_MS) });
+      attempt(delivery, webhook).catch((err) => console.error("Webhook delivery error:", err));
+    }
+  }
+
+  async function sweep() {
+    const now = Date.now();
+    const due = await storage.claimDueDeliveries(new Date(now), new Date(now + LEASE_MS), SWEEP_BATCH);
+    await Promise.all(due.map(delivery => attempt(delivery).catch((err) => console.error("Webhook retry error:", err))));
+    if (now - lastPruneAt > PRUNE_INTERVAL_MS) {
+      lastPruneAt = now;
+      await storage.pruneDeliveries(new Date(now - LOG_RETENTION_MS));
+    }
+  }
+
+  function start() {
+    sweepTimer = setInterval(() => {
+      sweep().catch((err) => console.error("Webhook sweep error:", err));
+    }, sweepInterval);
+    sweepTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(sweepTimer);
+  }
+
+  return { notify, sweep, start, stop };
+}
+
+module.exports = { createWebhookDispatcher };
@@ -0,0 +1,51 @@
+// storage/index.js — picks the persistence backend every route and socket handler goes through
+//
+// Each backend is a factory returning the same async repository API:
+//   connect() / close()
+//   users:         createUser, findUser, usernameTaken, updateUser, searchUsers, existingUsernames, listPresence, linkContacts
+//   groups:        createGroup, findGroup, listGroupsFor, saveGroup, deleteGroup
+//   conversations: touchConversation, listConversations
+//   messages:      createMessage, findMessageByClientId, getMessages, listMessages, messagesSince, searchMessages
+//   changes:       editMessage, deleteMessage, hideMessage, toggleReaction
+//   attachments:   createAttachment, findAttachment, deleteAttachment (metadata only; bytes live in files/)
+//   ai results:    findAIResult, saveAIResult (cached per message; editing or deleting the message drops them)
+//   integrations:  createApiToken, findApiToken, listApiTokens, deleteApiToken,
+//                  createWebhook, findWebhook, listWebhooks, webhooksFor, deleteWebhook,
+//                  createDelivery, updateDelivery, claimDueDeliveries, listDeliveries, pruneDeliveries
+//   privacy:       blockUser, unblockUser, blockRelations,
+//                  muteConversation, unmuteConversation, listMutes, mutedUsers,
+//                  createReport, findReport, listReports, updateReport
+//   receipts:      addReceipts, markRead, incrementUnread, unreadCounts
+// All methods take and return plain objects; message ids are opaque strings. linkContacts resolves to true when
+// the two weren't contacts yet. A message with a `threadId` is a reply in that root message's side thread: creating
+// one bumps the root's replyCount and lastReplyAt, and listMessages only returns thread replies when asked for the thread.
+// An end-to-end encrypted message has an empty `message` and an `encrypted` envelope, cleared like the text on delete;
+// users' published keys are the `publicKey` and `publicKeyAt` user fields. usernameTaken ignores case, since no two
+// accounts may have names that differ only by it; findUser matches exactly.
+const path = require("path");
+
+const DEFAULT_SQLITE_FILE = path.join(__dirname, "..", "data", "chat-x.sqlite");
+
+// STORAGE=mongo|sqlite|memory; without it we use Mongo when MONGODB_URI is set and a local SQLite file otherwise
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE || (process.env.MONGODB_URI ? "mongo" : "sqlite");
+
+  switch (driver) {
+    case "mongo": {
+      const { createMongoStorage } = require("./mongo");
+      return createMongoStorage({ uri: options.uri || process.env.MONGODB_URI });
+    }
+    case "sqlite": {
+      const { createSqliteStorage } = require("./sqlite");
+      return createSqliteStorage({ filename: options.filename || process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE });
+    }
+    case "memory": {
+      const { createMemoryStorage } = require("./memory");
+      return createMemoryStorage();
+    }
+    default:
+      throw new Error(`Unknown storage driver "${driver}"`);
+  }
+}
+
+module.exports = { createStorage };
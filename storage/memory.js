@@ -0,0 +1,508 @@
+// storage/memory.js — keeps everything in process memory; for tests and throwaway local runs
+const { matchesAll } = require("../utils/search");
+
+// Callers get copies so they can't mutate stored state behind our back
+const copy = (value) => (value == null ? null : structuredClone(value));
+
+function createMemoryStorage() {
+  const users = new Map();
+  const groups = new Map();
+  const conversations = new Map();
+  const messages = new Map(); // conversationId -> messages ordered by (timestamp, seq)
+  const messagesById = new Map();
+  const messageIdsByClientId = new Map(); // `${sender}\n${clientId}` -> id, unique like the other stores' index
+  const unread = new Map(); // username -> Map(conversationId -> { peer, count })
+  const attachments = new Map();
+  const hidden = new Map(); // messageId -> Set of usernames who deleted it for themselves
+  const aiResults = new Map(); // messageId -> Map(key -> value)
+  const apiTokens = new Map();
+  const webhooks = new Map();
+  const deliveries = new Map();
+  const blocks = new Map(); // username -> Map(blocked username -> createdAt)
+  const mutes = new Map(); // username -> Map(conversationId -> { peer, until })
+  const reports = new Map();
+  let nextMessageId = 1;
+
+  const isHidden = (message, username) => Boolean(username && hidden.get(message.id)?.has(username));
+
+  const storage = {
+    name: "memory",
+
+    async connect() {},
+    async close() {},
+
+    // --- users ---
+
+    async createUser(user) {
+      if (users.has(user.username)) throw new Error(`User ${user.username} already exists`);
+      const stored = { failedLogins: 0, contacts: [], ...copy(user), createdAt: new Date() };
+      users.set(user.username, stored);
+      return copy(stored);
+    },
+
+    async findUser(username) {
+      return copy(users.get(username));
+    },
+
+    async usernameTaken(username) {
+      const name = username.toLowerCase();
+      return [...users.keys()].some(taken => taken.toLowerCase() === name);
+    },
+
+    async updateUser(username, fields) {
+      const user = users.get(username);
+      if (!user) return null;
+      for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) delete user[key];
+        else user[key] = copy(value);
+      }
+      return copy(user);
+    },
+
+    // Case-insensitive match on username or display name; usernames starting with the query come first
+    async searchUsers(query, limit) {
+      const q = query.toLowerCase();
+      return [...users.values()]
+        .filter(u => u.username.toLowerCase().includes(q) || (u.displayName || "").toLowerCase().includes(q))
+        .sort((a, b) => Number(!a.username.toLowerCase().startsWith(q)) - Number(!b.username.toLowerCase().startsWith(q)) ||
+          a.username.localeCompare(b.username))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async existingUsernames(usernames) {
+      return usernames.filter(u => users.has(u));
+    },
+
+    async listPresence(usernames) {
+      return usernames.filter(u => users.has(u)).map(u => {
+        const { lastSeen, statusText, doNotDisturb } = users.get(u);
+        return { username: u, lastSeen: lastSeen ? new Date(lastSeen) : undefined, statusText, doNotDisturb: Boolean(doNotDisturb) };
+      });
+    },
+
+    async linkContacts(a, b) {
+      let linked = false;
+      for (const [owner, contact] of [[a, b], [b, a]]) {
+        const user = users.get(owner);
+        if (user && !user.contacts.includes(contact)) {
+          user.contacts.push(contact);
+          linked = true;
+        }
+      }
+      return linked;
+    },
+
+    // --- groups ---
+
+    async createGroup(group) {
+      const now = new Date();
+      const stored = { ...copy(group), createdAt: now, updatedAt: now };
+      groups.set(group.groupId, stored);
+      return copy(stored);
+    },
+
+    async findGroup(groupId) {
+      return copy(groups.get(groupId));
+    },
+
+    async listGroupsFor(username) {
+      return [...groups.values()]
+        .filter(g => g.members.some(m => m.username === username))
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map(copy);
+    },
+
+    async saveGroup(group) {
+      const stored = { ...copy(group), updatedAt: new Date() };
+      groups.set(group.groupId, stored);
+      return copy(stored);
+    },
+
+    async deleteGroup(groupId) {
+      groups.delete(groupId);
+    },
+
+    // --- conversations ---
+
+    async touchConversation(conversationId, { type, participants, lastMessageAt }) {
+      const existing = conversations.get(conversationId);
+      if (existing) {
+        if (!existing.lastMessageAt || existing.lastMessageAt < lastMessageAt) existing.lastMessageAt = lastMessageAt;
+      } else {
+        conversations.set(conversationId, { conversationId, type, participants: [...participants], lastMessageAt });
+      }
+    },
+
+    // Newest activity first, each with the latest message `viewer` hasn't hidden
+    async listConversations(conversationIds, viewer) {
+      return conversationIds
+        .map(id => conversations.get(id))
+        .filter(Boolean)
+        .sort((a, b) => (b.lastMessageAt || 0) - (a.lastMessageAt || 0))
+        .map(conversation => {
+          const list = messages.get(conversation.conversationId) || [];
+          const lastMessage = list.findLast(m => !isHidden(m, viewer));
+          return { ...copy(conversation), lastMessage: copy(lastMessage) };
+        });
+    },
+
+    // --- messages ---
+
+    async createMessage(message) {
+      const clientKey = message.clientId && `${message.sender}\n${message.clientId}`;
+      if (clientKey && messageIdsByClientId.has(clientKey)) {
+        throw new Error(`Message ${message.clientId} from ${message.sender} already exists`);
+      }
+      const stored = { deliveredTo: [], readBy: [], edits: [], reactions: {}, ...copy(message), id: String(nextMessageId++) };
+      messagesById.set(stored.id, stored);
+      if (clientKey) messageIdsByClientId.set(clientKey, stored.id);
+      const root = message.threadId && messagesById.get(message.threadId);
+      if (root) {
+        root.replyCount = (root.replyCount || 0) + 1;
+        root.lastReplyAt = stored.timestamp;
+      }
+      const list = messages.get(message.conversationId) || [];
+      // Insert after every message that isn't newer, so equal timestamps keep arrival order
+      let i = list.length;
+      while (i > 0 && list[i - 1].timestamp > stored.timestamp) i--;
+      list.splice(i, 0, stored);
+      messages.set(message.conversationId, list);
+      return copy(stored);
+    },
+
+    async findMessageByClientId(sender, clientId) {
+      return copy(messagesById.get(messageIdsByClientId.get(`${sender}\n${clientId}`)));
+    },
+
+    async getMessages(ids) {
+      return ids.map(id => messagesById.get(id)).filter(Boolean).map(copy);
+    },
+
+    async messagesSince(username, groupIds, since, limit) {
+      const list = [...messagesById.values()]
+        .filter(m => m.timestamp >= since && !isHidden(m, username) &&
+          (m.sender === username || m.recipient === username || groupIds.includes(m.recipient)))
+        .sort((a, b) => a.timestamp - b.timestamp || Number(a.id) - Number(b.id));
+      return { messages: list.slice(0, limit).map(copy), hasMore: list.length > limit };
+    },
+
+    // The main flow of the conversation, or with `threadId` the replies in that thread
+    async listMessages(conversationId, { before, after, limit, viewer, threadId }) {
+      const all = messages.get(conversationId) || [];
+      const cursorId = before || after;
+      const cursor = cursorId ? all.findIndex(m => m.id === cursorId) : -1;
+      if (cursorId && cursor === -1) return null;
+      // Positions in `all` are kept so a cursor outside the filtered list (hidden, or in another thread) still works
+      const list = all
+        .map((m, position) => ({ m, position }))
+        .filter(({ m }) => !isHidden(m, viewer) && (m.threadId || null) === (threadId || null));
+      const firstFrom = (test) => {
+        const index = list.findIndex(test);
+        return index === -1 ? list.length : index;
+      };
+      let start = Math.max(0, list.length - limit);
+      let end = list.length;
+      if (before) {
+        end = firstFrom(({ position }) => position >= cursor);
+        start = Math.max(0, end - limit);
+      } else if (after) {
+        start = firstFrom(({ position }) => position > cursor);
+        end = Math.min(list.length, start + limit);
+      }
+      const hasMore = after ? end < list.length : start > 0;
+      return { messages: list.slice(start, end).map(({ m }) => copy(m)), hasMore };
+    },
+
+    // A plain scan standing in for the search indexes of the other backends
+    async searchMessages({ conversationIds, terms, sender, since, until, before, limit, viewer }) {
+      let list = conversationIds.flatMap(id => messages.get(id) || [])
+        .filter(m => !m.deletedAt && !isHidden(m, viewer) && matchesAll(m.message, terms) &&
+          (!sender || m.sender === sender) && (!since || m.timestamp >= since) && (!until || m.timestamp <= until))
+        .sort((a, b) => b.timestamp - a.timestamp || Number(b.id) - Number(a.id));
+      if (before) {
+        const index = list.findIndex(m => m.id === before);
+        if (index === -1) return null;
+        list = list.slice(index + 1);
+      }
+      return { messages: list.slice(0, limit).map(copy), hasMore: list.length > limit };
+    },
+
+    async editMessage(id, { message: text, mood, moodScore, flags }, editedAt) {
+      const message = messagesById.get(id);
+      if (!message || message.deletedAt) return null;
+      message.edits.push({ message: message.message, editedAt });
+      message.message = text;
+      message.mood = mood;
+      message.moodScore = moodScore;
+      message.flags = flags && flags.length ? [...flags] : undefined;
+      message.editedAt = editedAt;
+      aiResults.delete(id);
+      return copy(message);
+    },
+
+    async deleteMessage(id, deletedAt) {
+      const message = messagesById.get(id);
+      if (!message || message.deletedAt) return null;
+      Object.assign(message, { message: null, mood: undefined, moodScore: undefined, flags: undefined, attachment: undefined, encrypted: undefined, edits: [], reactions: {}, deletedAt });
+      aiResults.delete(id);
+      return copy(message);
+    },
+
+    async hideMessage(id, username) {
+      if (!messagesById.has(id)) return;
+      if (!hidden.has(id)) hidden.set(id, new Set());
+      hidden.get(id).add(username);
+    },
+
+    async toggleReaction(id, username, emoji) {
+      const message = messagesById.get(id);
+      if (!message || message.deletedAt) return null;
+      const users = message.reactions[emoji] || [];
+      if (users.includes(username)) {
+        message.reactions[emoji] = users.filter(u => u !== username);
+        if (!message.reactions[emoji].length) delete message.reactions[emoji];
+      } else {
+        message.reactions[emoji] = [...users, username];
+      }
+      return copy(message);
+    },
+
+    // --- attachments ---
+
+    async createAttachment(attachment) {
+      const stored = { ...copy(attachment), createdAt: new Date() };
+      attachments.set(stored.id, stored);
+      return copy(stored);
+    },
+
+    async findAttachment(id) {
+      return copy(attachments.get(id));
+    },
+
+    async deleteAttachment(id) {
+      attachments.delete(id);
+    },
+
+    // --- ai results ---
+
+    async findAIResult(messageId, key) {
+      return aiResults.get(messageId)?.get(key) ?? null;
+    },
+
+    async saveAIResult(messageId, key, value) {
+      if (!messagesById.has(messageId)) return;
+      if (!aiResults.has(messageId)) aiResults.set(messageId, new Map());
+      aiResults.get(messageId).set(key, value);
+    },
+
+    // --- integrations ---
+
+    async createApiToken(token) {
+      const stored = { ...copy(token), createdAt: new Date() };
+      apiTokens.set(stored.id, stored);
+      return copy(stored);
+    },
+
+    async findApiToken(tokenHash) {
+      return copy([...apiTokens.values()].find(t => t.tokenHash === tokenHash));
+    },
+
+    async listApiTokens(owner) {
+      return [...apiTokens.values()].filter(t => t.owner === owner).map(copy);
+    },
+
+    async deleteApiToken(id) {
+      apiTokens.delete(id);
+    },
+
+    async createWebhook(webhook) {
+      const stored = { ...copy(webhook), createdAt: new Date() };
+      webhooks.set(stored.id, stored);
+      return copy(stored);
+    },
+
+    async findWebhook(id) {
+      return copy(webhooks.get(id));
+    },
+
+    async listWebhooks(owner) {
+      return [...webhooks.values()].filter(w => w.owner === owner).map(copy);
+    },
+
+    async webhooksFor(conversationId) {
+      return [...webhooks.values()]
+        .filter(w => w.conversations.some(c => c.conversationId === conversationId))
+        .map(copy);
+    },
+
+    async deleteWebhook(id) {
+      webhooks.delete(id);
+      for (const delivery of deliveries.values()) {
+        if (delivery.webhookId === id) deliveries.delete(delivery.id);
+      }
+    },
+
+    async createDelivery(delivery) {
+      deliveries.set(delivery.id, { ...copy(delivery), attempts: 0, createdAt: new Date() });
+    },
+
+    async updateDelivery(id, fields) {
+      const delivery = deliveries.get(id);
+      if (!delivery) return;
+      for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) delete delivery[key];
+        else delivery[key] = copy(value);
+      }
+    },
+
+    async claimDueDeliveries(now, leaseUntil, limit) {
+      const due = [...deliveries.values()]
+        .filter(d => d.status === "pending" && d.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .slice(0, limit);
+      return due.map(delivery => {
+        const claimed = copy(delivery);
+        delivery.nextAttemptAt = leaseUntil;
+        return claimed;
+      });
+    },
+
+    async listDeliveries(webhookId, limit) {
+      return [...deliveries.values()]
+        .filter(d => d.webhookId === webhookId)
+        .reverse()
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async pruneDeliveries(before) {
+      for (const delivery of deliveries.values()) {
+        if (delivery.status !== "pending" && delivery.createdAt < before) deliveries.delete(delivery.id);
+      }
+    },
+
+    // --- blocks, mutes and reports ---
+
+    async blockUser(username, target) {
+      const list = blocks.get(username) || new Map();
+      if (!list.has(target)) list.set(target, new Date());
+      blocks.set(username, list);
+    },
+
+    async unblockUser(username, target) {
+      return Boolean(blocks.get(username)?.delete(target));
+    },
+
+    async blockRelations(username) {
+      const blocked = [...(blocks.get(username) || new Map())].map(([target, createdAt]) => ({ username: target, createdAt }));
+      const blockedBy = [...blocks].filter(([, list]) => list.has(username)).map(([blocker]) => blocker);
+      return copy({ blocked, blockedBy });
+    },
+
+    async muteConversation(username, conversationId, { peer, until }) {
+      const list = mutes.get(username) || new Map();
+      list.set(conversationId, copy({ peer, until }));
+      mutes.set(username, list);
+    },
+
+    async unmuteConversation(username, conversationId) {
+      return Boolean(mutes.get(username)?.delete(conversationId));
+    },
+
+    async listMutes(username) {
+      return [...(mutes.get(username) || new Map())].map(([conversationId, mute]) => copy({ conversationId, ...mute }));
+    },
+
+    async mutedUsers(conversationId, now) {
+      return [...mutes]
+        .filter(([, list]) => {
+          const mute = list.get(conversationId);
+          return mute && (!mute.until || mute.until > now);
+        })
+        .map(([username]) => username);
+    },
+
+    async createReport(report) {
+      const stored = { ...copy(report), createdAt: new Date() };
+      reports.set(stored.id, stored);
+      return copy(stored);
+    },
+
+    async findReport(id) {
+      return copy(reports.get(id));
+    },
+
+    async listReports({ status, limit }) {
+      return [...reports.values()]
+        .filter(r => !status || r.status === status)
+        .reverse()
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async updateReport(id, fields) {
+      const report = reports.get(id);
+      if (!report) return null;
+      Object.assign(report, copy(fields));
+      return copy(report);
+    },
+
+    // --- receipts ---
+
+    async addReceipts(ids, username, kind) {
+      const changed = [];
+      for (const id of ids) {
+        const message = messagesById.get(id);
+        if (!message) continue;
+        let updated = false;
+        if (!message.deliveredTo.includes(username)) {
+          message.deliveredTo.push(username);
+          updated = kind === "delivered";
+        }
+        if (kind === "read" && !message.readBy.includes(username)) {
+          message.readBy.push(username);
+          updated = true;
+        }
+        if (updated) changed.push(copy(message));
+      }
+      return changed;
+    },
+
+    async markRead(conversationId, username, upToId) {
+      const list = messages.get(conversationId) || [];
+      const end = upToId ? list.findIndex(m => m.id === upToId) : list.length - 1;
+      if (end === -1) return null;
+      const ids = list.slice(0, end + 1)
+        .filter(m => m.sender !== username && !m.readBy.includes(username))
+        .map(m => m.id);
+      const changed = await storage.addReceipts(ids, username, "read");
+
+      const entry = unread.get(username)?.get(conversationId);
+      if (entry) entry.count = list.filter(m => m.sender !== username && !m.readBy.includes(username)).length;
+      return changed;
+    },
+
+    async incrementUnread(conversationId, recipients) {
+      for (const { username, peer } of recipients) {
+        if (!unread.has(username)) unread.set(username, new Map());
+        const counts = unread.get(username);
+        const entry = counts.get(conversationId) || { peer, count: 0 };
+        entry.count++;
+        counts.set(conversationId, entry);
+      }
+    },
+
+    async unreadCounts(username) {
+      const counts = {};
+      for (const { peer, count } of unread.get(username)?.values() || []) {
+        if (count > 0) counts[peer] = count;
+      }
+      return counts;
+    },
+  };
+
+  return storage;
+}
+
+module.exports = { createMemoryStorage };
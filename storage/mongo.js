@@ -0,0 +1,572 @@
+// storage/mongo.js — the original MongoDB persistence, behind the storage interface
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const Unread = require("../models/Unread");
+const Attachment = require("../models/Attachment");
+const AIResult = require("../models/AIResult");
+const ApiToken = require("../models/ApiToken");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const Block = require("../models/Block");
+const Mute = require("../models/Mute");
+const Report = require("../models/Report");
+const { wordsOf } = require("../utils/search");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+// Lean documents minus Mongo's bookkeeping fields
+function plain(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...rest } = doc;
+  return rest;
+}
+
+function toMessage(doc) {
+  if (!doc) return null;
+  const { _id, __v, hiddenFor, words, ...rest } = doc;
+  return { id: String(_id), edits: [], reactions: {}, ...rest };
+}
+
+function toAttachment(doc) {
+  if (!doc) return null;
+  const { _id, __v, attachmentId, ...rest } = doc;
+  return { id: attachmentId, ...rest };
+}
+
+// Documents keyed by their own string id field (attachmentId, tokenId, ...) come back with it as `id`
+function withId(doc, field) {
+  if (!doc) return null;
+  const { _id, __v, [field]: id, ...rest } = doc;
+  return { id, ...rest };
+}
+
+const validIds = (ids) => ids.filter(id => mongoose.isValidObjectId(id));
+
+// Messages at or before the cursor message in (timestamp, _id) order
+function atOrBefore(cursor) {
+  return {
+    $or: [
+      { timestamp: { $lt: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { $lte: cursor._id } },
+    ],
+  };
+}
+
+// Messages stored before search matched word prefixes (or moved in by scripts/migrate-messages.js) get their words
+async function backfillSearchWords() {
+  let batch = [];
+  let updated = 0;
+  const flush = async () => {
+    if (!batch.length) return;
+    await Message.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+  for await (const doc of Message.find({ words: null, message: { $type: "string" } }, { message: 1 }).lean().cursor()) {
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { words: wordsOf(doc.message) } } } });
+    if (batch.length >= BACKFILL_BATCH_SIZE) await flush();
+  }
+  await flush();
+  if (updated) console.log(`🔎 Indexed ${updated} older messages for search`);
+}
+
+function createMongoStorage({ uri }) {
+  const storage = {
+    name: "mongo",
+
+    async connect() {
+      if (!uri) throw new Error("MONGODB_URI environment variable is not set");
+      await mongoose.connect(uri, { family: 4, serverSelectionTimeoutMS: 5000 });
+      console.log("✅ MongoDB Connected");
+      await backfillSearchWords();
+    },
+
+    close() {
+      return mongoose.disconnect();
+    },
+
+    // --- users ---
+
+    async createUser(user) {
+      const created = await User.create({ contacts: [], ...user });
+      return plain(created.toObject());
+    },
+
+    async findUser(username) {
+      return plain(await User.findOne({ username }).lean());
+    },
+
+    // Served by the case-insensitive username index, which has this collation
+    async usernameTaken(username) {
+      return Boolean(await User.exists({ username }).collation({ locale: "en", strength: 2 }));
+    },
+
+    async updateUser(username, fields) {
+      const $set = {};
+      const $unset = {};
+      for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) $unset[key] = "";
+        else $set[key] = value;
+      }
+      return plain(await User.findOneAndUpdate({ username }, { $set, $unset }, { new: true }).lean());
+    },
+
+    // Case-insensitive match on username or display name; usernames starting with the query come first
+    async searchUsers(query, limit) {
+      const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const contains = new RegExp(escaped, "i");
+      const list = await User.aggregate([
+        { $match: { $or: [{ username: contains }, { displayName: contains }] } },
+        { $addFields: { prefixMatch: { $regexMatch: { input: "$username", regex: `^${escaped}`, options: "i" } } } },
+        { $sort: { prefixMatch: -1, username: 1 } },
+        { $limit: limit },
+        { $project: { prefixMatch: 0 } },
+      ]);
+      return list.map(plain);
+    },
+
+    async existingUsernames(usernames) {
+      const found = await User.find({ username: { $in: usernames } }, { username: 1 }).lean();
+      return found.map(u => u.username);
+    },
+
+    async listPresence(usernames) {
+      const found = await User.find({ username: { $in: usernames } }, { username: 1, lastSeen: 1, statusText: 1, doNotDisturb: 1 }).lean();
+      return found.map(({ username, lastSeen, statusText, doNotDisturb }) => ({
+        username, lastSeen, statusText, doNotDisturb: Boolean(doNotDisturb)
+      }));
+    },
+
+    async linkContacts(a, b) {
+      const result = await User.bulkWrite([
+        { updateOne: { filter: { username: a }, update: { $addToSet: { contacts: b } } } },
+        { updateOne: { filter: { username: b }, update: { $addToSet: { contacts: a } } } },
+      ]);
+      return result.modifiedCount > 0;
+    },
+
+    // --- groups ---
+
+    async createGroup(group) {
+      const created = await Group.create(group);
+      return plain(created.toObject());
+    },
+
+    async findGroup(groupId) {
+      return plain(await Group.findOne({ groupId }).lean());
+    },
+
+    async listGroupsFor(username) {
+      const list = await Group.find({ "members.username": username }).sort({ updatedAt: -1 }).lean();
+      return list.map(plain);
+    },
+
+    async saveGroup({ groupId, name, owner, members }) {
+      return plain(await Group.findOneAndUpdate(
+        { groupId },
+        { $set: { name, owner, members } },
+        { new: true, runValidators: true }
+      ).lean());
+    },
+
+    async deleteGroup(groupId) {
+      await Group.deleteOne({ groupId });
+    },
+
+    // --- conversations ---
+
+    async touchConversation(conversationId, { type, participants, lastMessageAt }) {
+      await Conversation.updateOne(
+        { conversationId },
+        { $max: { lastMessageAt }, $setOnInsert: { type, participants } },
+        { upsert: true }
+      );
+    },
+
+    // Newest activity first, each with the latest message `viewer` hasn't hidden
+    async listConversations(conversationIds, viewer) {
+      if (!conversationIds.length) return [];
+      const [list, latest] = await Promise.all([
+        Conversation.find({ conversationId: { $in: conversationIds } }).sort({ lastMessageAt: -1 }).lean(),
+        Message.aggregate([
+          { $match: { conversationId: { $in: conversationIds }, hiddenFor: { $ne: viewer } } },
+          { $sort: { conversationId: 1, timestamp: -1, _id: -1 } },
+          { $group: { _id: "$conversationId", message: { $first: "$$ROOT" } } },
+        ]),
+      ]);
+      const byConversation = new Map(latest.map(l => [l._id, toMessage(l.message)]));
+      return list.map(({ _id, __v, createdAt, updatedAt, ...conversation }) => ({
+        ...conversation,
+        lastMessage: byConversation.get(conversation.conversationId) || null,
+      }));
+    },
+
+    // --- messages ---
+
+    async createMessage(message) {
+      const created = await Message.create({ ...message, words: wordsOf(message.message || "") });
+      if (message.threadId && mongoose.isValidObjectId(message.threadId)) {
+        await Message.updateOne({ _id: message.threadId }, { $inc: { replyCount: 1 }, $set: { lastReplyAt: message.timestamp } });
+      }
+      return toMessage(created.toObject());
+    },
+
+    async findMessageByClientId(sender, clientId) {
+      return toMessage(await Message.findOne({ sender, clientId }).lean());
+    },
+
+    async getMessages(ids) {
+      const list = await Message.find({ _id: { $in: validIds(ids) } }).lean();
+      return list.map(toMessage);
+    },
+
+    async messagesSince(username, groupIds, since, limit) {
+      const page = await Message.find({
+        timestamp: { $gte: since },
+        hiddenFor: { $ne: username },
+        $or: [{ sender: username }, { recipient: username }, { recipient: { $in: groupIds } }],
+      })
+        .sort({ timestamp: 1, _id: 1 })
+        .limit(limit + 1)
+        .lean();
+      return { messages: page.slice(0, limit).map(toMessage), hasMore: page.length > limit };
+    },
+
+    // The main flow of the conversation, or with `threadId` the replies in that thread
+    async listMessages(conversationId, { before, after, limit, viewer, threadId }) {
+      const cursorId = before || after;
+      const query = { conversationId, threadId: threadId || null };
+      if (viewer) query.hiddenFor = { $ne: viewer };
+      if (cursorId) {
+        if (!mongoose.isValidObjectId(cursorId)) return null;
+        const cursor = await Message.findOne({ _id: cursorId, conversationId }).lean();
+        if (!cursor) return null;
+        const op = before ? "$lt" : "$gt";
+        query.$or = [
+          { timestamp: { [op]: cursor.timestamp } },
+          { timestamp: cursor.timestamp, _id: { [op]: cursor._id } },
+        ];
+      }
+
+      const direction = after ? 1 : -1;
+      const page = await Message.find(query)
+        .sort({ timestamp: direction, _id: direction })
+        .limit(limit + 1)
+        .lean();
+
+      const hasMore = page.length > limit;
+      const list = page.slice(0, limit).map(toMessage);
+      if (!after) list.reverse(); // always oldest first
+      return { messages: list, hasMore };
+    },
+
+    // Every term has to be the start of one of the message's stored words, as with the other backends
+    async searchMessages({ conversationIds, terms, sender, since, until, before, limit, viewer }) {
+      if (!conversationIds.length || !terms.length) return { messages: [], hasMore: false };
+      const query = {
+        // Terms are letters and digits only, so they need no escaping; an anchored regex is a range scan on the index
+        words: { $all: terms.map(term => new RegExp(`^${term}`)) },
+        conversationId: { $in: conversationIds },
+        deletedAt: null,
+        hiddenFor: { $ne: viewer },
+      };
+      if (sender) query.sender = sender;
+      if (since || until) query.timestamp = { ...(since && { $gte: since }), ...(until && { $lte: until }) };
+      if (before) {
+        if (!mongoose.isValidObjectId(before)) return null;
+        const cursor = await Message.findById(before).lean();
+        if (!cursor) return null;
+        query.$or = [
+          { timestamp: { $lt: cursor.timestamp } },
+          { timestamp: cursor.timestamp, _id: { $lt: cursor._id } },
+        ];
+      }
+      const page = await Message.find(query).sort({ timestamp: -1, _id: -1 }).limit(limit + 1).lean();
+      return { messages: page.slice(0, limit).map(toMessage), hasMore: page.length > limit };
+    },
+
+    async editMessage(id, { message, mood, moodScore, flags }, editedAt) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      // The pipeline form pushes the text being replaced in the same atomic update
+      const edited = toMessage(await Message.findOneAndUpdate(
+        { _id: id, deletedAt: null },
+        [{
+          $set: {
+            edits: { $concatArrays: [{ $ifNull: ["$edits", []] }, [{ message: "$message", editedAt }]] },
+            message: { $literal: message },
+            words: { $literal: wordsOf(message) },
+            mood: { $literal: mood },
+            moodScore: { $literal: moodScore },
+            flags: flags && flags.length ? { $literal: flags } : "$$REMOVE",
+            editedAt,
+          },
+        }],
+        { new: true }
+      ).lean());
+      if (edited) await AIResult.deleteMany({ messageId: id });
+      return edited;
+    },
+
+    async deleteMessage(id, deletedAt) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      const deleted = toMessage(await Message.findOneAndUpdate(
+        { _id: id, deletedAt: null },
+        { $set: { deletedAt, edits: [], reactions: {} }, $unset: { message: "", words: "", mood: "", moodScore: "", flags: "", attachment: "", encrypted: "" } },
+        { new: true }
+      ).lean());
+      if (deleted) await AIResult.deleteMany({ messageId: id });
+      return deleted;
+    },
+
+    async hideMessage(id, username) {
+      if (!mongoose.isValidObjectId(id)) return;
+      await Message.updateOne({ _id: id }, { $addToSet: { hiddenFor: username } });
+    },
+
+    async toggleReaction(id, username, emoji) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      const key = `reactions.${emoji}`;
+      const removed = await Message.findOneAndUpdate(
+        { _id: id, deletedAt: null, [key]: username },
+        { $pull: { [key]: username } },
+        { new: true }
+      ).lean();
+      if (removed) {
+        if (!removed.reactions[emoji].length) {
+          await Message.updateOne({ _id: id, [key]: { $size: 0 } }, { $unset: { [key]: "" } });
+        }
+      } else {
+        await Message.updateOne({ _id: id, deletedAt: null }, { $addToSet: { [key]: username } });
+      }
+      const [message] = await storage.getMessages([id]);
+      return message && !message.deletedAt ? message : null;
+    },
+
+    // --- attachments ---
+
+    async createAttachment(attachment) {
+      const { id, ...rest } = attachment;
+      const created = await Attachment.create({ attachmentId: id, ...rest });
+      return toAttachment(created.toObject());
+    },
+
+    async findAttachment(id) {
+      return toAttachment(await Attachment.findOne({ attachmentId: id }).lean());
+    },
+
+    async deleteAttachment(id) {
+      await Attachment.deleteOne({ attachmentId: id });
+    },
+
+    // --- ai results ---
+
+    async findAIResult(messageId, key) {
+      const result = await AIResult.findOne({ messageId, key }).lean();
+      return result ? result.value : null;
+    },
+
+    async saveAIResult(messageId, key, value) {
+      await AIResult.updateOne({ messageId, key }, { $set: { value } }, { upsert: true });
+    },
+
+    // --- integrations ---
+
+    async createApiToken(token) {
+      const { id, ...rest } = token;
+      const created = await ApiToken.create({ tokenId: id, ...rest });
+      return withId(created.toObject(), "tokenId");
+    },
+
+    async findApiToken(tokenHash) {
+      return withId(await ApiToken.findOne({ tokenHash }).lean(), "tokenId");
+    },
+
+    async listApiTokens(owner) {
+      const list = await ApiToken.find({ owner }).sort({ createdAt: 1 }).lean();
+      return list.map(doc => withId(doc, "tokenId"));
+    },
+
+    async deleteApiToken(id) {
+      await ApiToken.deleteOne({ tokenId: id });
+    },
+
+    async createWebhook(webhook) {
+      const { id, ...rest } = webhook;
+      const created = await Webhook.create({ webhookId: id, ...rest });
+      return withId(created.toObject(), "webhookId");
+    },
+
+    async findWebhook(id) {
+      return withId(await Webhook.findOne({ webhookId: id }).lean(), "webhookId");
+    },
+
+    async listWebhooks(owner) {
+      const list = await Webhook.find({ owner }).sort({ createdAt: 1 }).lean();
+      return list.map(doc => withId(doc, "webhookId"));
+    },
+
+    async webhooksFor(conversationId) {
+      const list = await Webhook.find({ "conversations.conversationId": conversationId }).lean();
+      return list.map(doc => withId(doc, "webhookId"));
+    },
+
+    async deleteWebhook(id) {
+      await Promise.all([Webhook.deleteOne({ webhookId: id }), WebhookDelivery.deleteMany({ webhookId: id })]);
+    },
+
+    async createDelivery(delivery) {
+      const { id, ...rest } = delivery;
+      await WebhookDelivery.create({ deliveryId: id, ...rest, attempts: 0 });
+    },
+
+    async updateDelivery(id, fields) {
+      const $set = {};
+      const $unset = {};
+      for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) $unset[key] = "";
+        else $set[key] = value;
+      }
+      await WebhookDelivery.updateOne({ deliveryId: id }, { $set, $unset });
+    },
+
+    // Claimed one at a time so two instances sweeping together never take the same delivery
+    async claimDueDeliveries(now, leaseUntil, limit) {
+      const claimed = [];
+      while (claimed.length < limit) {
+        const doc = await WebhookDelivery.findOneAndUpdate(
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { $set: { nextAttemptAt: leaseUntil } },
+          { sort: { nextAttemptAt: 1 } }
+        ).lean();
+        if (!doc) break;
+        claimed.push(withId(doc, "deliveryId"));
+      }
+      return claimed;
+    },
+
+    async listDeliveries(webhookId, limit) {
+      const list = await WebhookDelivery.find({ webhookId }).sort({ createdAt: -1, _id: -1 }).limit(limit).lean();
+      return list.map(doc => withId(doc, "deliveryId"));
+    },
+
+    async pruneDeliveries(before) {
+      await WebhookDelivery.deleteMany({ status: { $ne: "pending" }, createdAt: { $lt: before } });
+    },
+
+    // --- blocks, mutes and reports ---
+
+    async blockUser(username, target) {
+      await Block.updateOne({ username, target }, { $setOnInsert: { username, target } }, { upsert: true });
+    },
+
+    async unblockUser(username, target) {
+      const { deletedCount } = await Block.deleteOne({ username, target });
+      return deletedCount > 0;
+    },
+
+    async blockRelations(username) {
+      const [blocked, blockedBy] = await Promise.all([
+        Block.find({ username }).sort({ createdAt: 1 }).lean(),
+        Block.find({ target: username }).lean(),
+      ]);
+      return {
+        blocked: blocked.map(b => ({ username: b.target, createdAt: b.createdAt })),
+        blockedBy: blockedBy.map(b => b.username),
+      };
+    },
+
+    async muteConversation(username, conversationId, { peer, until }) {
+      await Mute.updateOne(
+        { username, conversationId },
+        until ? { $set: { peer, until } } : { $set: { peer }, $unset: { until: "" } },
+        { upsert: true }
+      );
+    },
+
+    async unmuteConversation(username, conversationId) {
+      const { deletedCount } = await Mute.deleteOne({ username, conversationId });
+      return deletedCount > 0;
+    },
+
+    async listMutes(username) {
+      const list = await Mute.find({ username }).lean();
+      return list.map(({ conversationId, peer, until }) => ({ conversationId, peer, until }));
+    },
+
+    async mutedUsers(conversationId, now) {
+      const list = await Mute.find({ conversationId, $or: [{ until: null }, { until: { $gt: now } }] }).lean();
+      return list.map(m => m.username);
+    },
+
+    async createReport(report) {
+      const { id, ...rest } = report;
+      const created = await Report.create({ reportId: id, ...rest });
+      return withId(created.toObject(), "reportId");
+    },
+
+    async findReport(id) {
+      return withId(await Report.findOne({ reportId: id }).lean(), "reportId");
+    },
+
+    async listReports({ status, limit }) {
+      const list = await Report.find(status ? { status } : {}).sort({ createdAt: -1, _id: -1 }).limit(limit).lean();
+      return list.map(doc => withId(doc, "reportId"));
+    },
+
+    async updateReport(id, fields) {
+      return withId(await Report.findOneAndUpdate({ reportId: id }, { $set: fields }, { new: true }).lean(), "reportId");
+    },
+
+    // --- receipts ---
+
+    async addReceipts(ids, username, kind) {
+      const field = kind === "read" ? "readBy" : "deliveredTo";
+      const filter = { _id: { $in: validIds(ids) }, [field]: { $ne: username } };
+      const changed = await Message.find(filter, { _id: 1 }).lean();
+      if (!changed.length) return [];
+      // Reading a message implies it was delivered
+      const $addToSet = kind === "read" ? { readBy: username, deliveredTo: username } : { deliveredTo: username };
+      await Message.updateMany({ _id: { $in: changed.map(m => m._id) } }, { $addToSet });
+      return storage.getMessages(changed.map(m => String(m._id)));
+    },
+
+    async markRead(conversationId, username, upToId) {
+      const filter = { conversationId, sender: { $ne: username }, readBy: { $ne: username } };
+      if (upToId) {
+        if (!mongoose.isValidObjectId(upToId)) return null;
+        const cursor = await Message.findOne({ _id: upToId, conversationId }).lean();
+        if (!cursor) return null;
+        Object.assign(filter, atOrBefore(cursor));
+      }
+      const ids = (await Message.find(filter, { _id: 1 }).lean()).map(m => String(m._id));
+      const changed = await storage.addReceipts(ids, username, "read");
+
+      const remaining = await Message.countDocuments({ conversationId, sender: { $ne: username }, readBy: { $ne: username } });
+      await Unread.updateOne({ username, conversationId }, { $set: { count: remaining } });
+      return changed;
+    },
+
+    async incrementUnread(conversationId, recipients) {
+      if (!recipients.length) return;
+      await Unread.bulkWrite(recipients.map(({ username, peer }) => ({
+        updateOne: {
+          filter: { username, conversationId },
+          update: { $inc: { count: 1 }, $setOnInsert: { peer } },
+          upsert: true,
+        },
+      })));
+    },
+
+    async unreadCounts(username) {
+      const rows = await Unread.find({ username, count: { $gt: 0 } }).lean();
+      return Object.fromEntries(rows.map(r => [r.peer, r.count]));
+    },
+  };
+
+  return storage;
+}
+
+module.exports = { createMongoStorage };
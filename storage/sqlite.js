@@ -0,0 +1,1134 @@
+// storage/sqlite.js — single-file SQLite backend for local development and CI
+const fs = require("fs");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const sqlite3 = require("sqlite3");
+
+// Applied in order and tracked with PRAGMA user_version; append new steps, never edit old ones
+const MIGRATIONS = [
+  `CREATE TABLE users (
+     username TEXT PRIMARY KEY,
+     password TEXT,
+     failed_logins INTEGER NOT NULL DEFAULT 0,
+     lock_until INTEGER,
+     dob TEXT,
+     gender TEXT,
+     created_at INTEGER NOT NULL
+   );
+   CREATE TABLE contacts (
+     username TEXT NOT NULL,
+     contact TEXT NOT NULL,
+     PRIMARY KEY (username, contact)
+   );
+   CREATE TABLE groups (
+     group_id TEXT PRIMARY KEY,
+     name TEXT NOT NULL,
+     owner TEXT NOT NULL,
+     created_at INTEGER NOT NULL,
+     updated_at INTEGER NOT NULL
+   );
+   CREATE TABLE group_members (
+     group_id TEXT NOT NULL,
+     username TEXT NOT NULL,
+     role TEXT NOT NULL,
+     position INTEGER NOT NULL,
+     PRIMARY KEY (group_id, username)
+   );
+   CREATE INDEX group_members_username ON group_members (username);
+   CREATE TABLE conversations (
+     conversation_id TEXT PRIMARY KEY,
+     type TEXT NOT NULL,
+     participants TEXT NOT NULL,
+     last_message_at INTEGER
+   );
+   CREATE TABLE messages (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     conversation_id TEXT NOT NULL,
+     sender TEXT NOT NULL,
+     recipient TEXT NOT NULL,
+     message TEXT,
+     mood TEXT,
+     timestamp INTEGER NOT NULL
+   );
+   CREATE INDEX messages_conversation_time ON messages (conversation_id, timestamp, id);`,
+
+  `ALTER TABLE messages ADD COLUMN client_id TEXT;
+   CREATE UNIQUE INDEX messages_sender_client_id ON messages (sender, client_id) WHERE client_id IS NOT NULL;
+   CREATE TABLE receipts (
+     message_id INTEGER NOT NULL,
+     username TEXT NOT NULL,
+     kind TEXT NOT NULL,
+     at INTEGER NOT NULL,
+     PRIMARY KEY (message_id, username, kind)
+   );
+   CREATE TABLE unread (
+     username TEXT NOT NULL,
+     conversation_id TEXT NOT NULL,
+     peer TEXT NOT NULL,
+     count INTEGER NOT NULL DEFAULT 0,
+     PRIMARY KEY (username, conversation_id)
+   );`,
+
+  `CREATE INDEX messages_recipient_time ON messages (recipient, timestamp);
+   CREATE INDEX messages_sender_time ON messages (sender, timestamp);`,
+
+  `ALTER TABLE messages ADD COLUMN edited_at INTEGER;
+   ALTER TABLE messages ADD COLUMN deleted_at INTEGER;
+   CREATE TABLE message_edits (
+     message_id INTEGER NOT NULL,
+     message TEXT,
+     edited_at INTEGER NOT NULL
+   );
+   CREATE INDEX message_edits_message ON message_edits (message_id, edited_at);
+   CREATE TABLE reactions (
+     message_id INTEGER NOT NULL,
+     emoji TEXT NOT NULL,
+     username TEXT NOT NULL,
+     at INTEGER NOT NULL,
+     PRIMARY KEY (message_id, emoji, username)
+   );
+   CREATE TABLE hidden_messages (
+     message_id INTEGER NOT NULL,
+     username TEXT NOT NULL,
+     PRIMARY KEY (message_id, username)
+   );`,
+
+  `CREATE TABLE attachments (
+     id TEXT PRIMARY KEY,
+     owner TEXT NOT NULL,
+     recipient TEXT NOT NULL,
+     conversation_id TEXT NOT NULL,
+     name TEXT NOT NULL,
+     mime_type TEXT NOT NULL,
+     size INTEGER NOT NULL,
+     width INTEGER,
+     height INTEGER,
+     thumbnail INTEGER NOT NULL DEFAULT 0,
+     created_at INTEGER NOT NULL
+   );
+   ALTER TABLE messages ADD COLUMN attachment TEXT;`,
+
+  `ALTER TABLE users ADD COLUMN display_name TEXT;
+   ALTER TABLE users ADD COLUMN bio TEXT;
+   ALTER TABLE users ADD COLUMN avatar TEXT;`,
+
+  // External-content FTS5 index over message text, kept in sync by triggers
+  `CREATE VIRTUAL TABLE messages_fts USING fts5(
+     message, content = 'messages', content_rowid = 'id', tokenize = 'unicode61 remove_diacritics 2'
+   );
+   INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+   CREATE TRIGGER messages_fts_insert AFTER INSERT ON messages BEGIN
+     INSERT INTO messages_fts (rowid, message) VALUES (new.id, new.message);
+   END;
+   CREATE TRIGGER messages_fts_delete AFTER DELETE ON messages BEGIN
+     INSERT INTO messages_fts (messages_fts, rowid, message) VALUES ('delete', old.id, old.message);
+   END;
+   CREATE TRIGGER messages_fts_update AFTER UPDATE OF message ON messages BEGIN
+     INSERT INTO messages_fts (messages_fts, rowid, message) VALUES ('delete', old.id, old.message);
+     INSERT INTO messages_fts (rowid, message) VALUES (new.id, new.message);
+   END;`,
+
+  `CREATE TABLE ai_results (
+     message_id INTEGER NOT NULL REFERENCES messages(id),
+     key TEXT NOT NULL,
+     value TEXT NOT NULL,
+     created_at INTEGER NOT NULL,
+     PRIMARY KEY (message_id, key)
+   );`,
+
+  `ALTER TABLE users ADD COLUMN bot INTEGER NOT NULL DEFAULT 0;`,
+
+  `CREATE TABLE api_tokens (
+     id TEXT PRIMARY KEY,
+     owner TEXT NOT NULL,
+     name TEXT NOT NULL,
+     group_id TEXT,
+     token_hash TEXT NOT NULL UNIQUE,
+     created_at INTEGER NOT NULL
+   );
+   CREATE INDEX api_tokens_owner ON api_tokens (owner);
+   CREATE TABLE webhooks (
+     id TEXT PRIMARY KEY,
+     owner TEXT NOT NULL,
+     url TEXT NOT NULL,
+     secret TEXT NOT NULL,
+     created_at INTEGER NOT NULL
+   );
+   CREATE INDEX webhooks_owner ON webhooks (owner);
+   CREATE TABLE webhook_conversations (
+     webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+     conversation_id TEXT NOT NULL,
+     peer TEXT NOT NULL,
+     PRIMARY KEY (webhook_id, conversation_id)
+   );
+   CREATE INDEX webhook_conversations_conversation ON webhook_conversations (conversation_id);
+   CREATE TABLE webhook_deliveries (
+     id TEXT PRIMARY KEY,
+     webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+     event TEXT NOT NULL,
+     message_id TEXT,
+     payload TEXT NOT NULL,
+     status TEXT NOT NULL,
+     attempts INTEGER NOT NULL DEFAULT 0,
+     response_status INTEGER,
+     error TEXT,
+     next_attempt_at INTEGER,
+     created_at INTEGER NOT NULL,
+     delivered_at INTEGER
+   );
+   CREATE INDEX webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+   CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);`,
+
+  `ALTER TABLE messages ADD COLUMN mood_score REAL;`,
+
+  `ALTER TABLE messages ADD COLUMN flags TEXT;`,
+
+  `CREATE TABLE blocks (
+     username TEXT NOT NULL,
+     target TEXT NOT NULL,
+     created_at INTEGER NOT NULL,
+     PRIMARY KEY (username, target)
+   );
+   CREATE INDEX blocks_target ON blocks (target);
+   CREATE TABLE mutes (
+     username TEXT NOT NULL,
+     conversation_id TEXT NOT NULL,
+     peer TEXT NOT NULL,
+     until INTEGER,
+     PRIMARY KEY (username, conversation_id)
+   );
+   CREATE INDEX mutes_conversation ON mutes (conversation_id);
+   CREATE TABLE reports (
+     id TEXT PRIMARY KEY,
+     reporter TEXT NOT NULL,
+     reported_user TEXT NOT NULL,
+     message_id TEXT NOT NULL,
+     conversation_id TEXT NOT NULL,
+     reason TEXT NOT NULL,
+     message TEXT NOT NULL,
+     context TEXT NOT NULL,
+     status TEXT NOT NULL,
+     resolved_by TEXT,
+     resolved_at INTEGER,
+     resolution TEXT,
+     created_at INTEGER NOT NULL
+   );
+   CREATE INDEX reports_status ON reports (status, created_at);`,
+  // 14: presence
+  `ALTER TABLE users ADD COLUMN last_seen INTEGER;
+   ALTER TABLE users ADD COLUMN status_text TEXT;
+   ALTER TABLE users ADD COLUMN do_not_disturb INTEGER NOT NULL DEFAULT 0;`,
+  // 15: replies and threads
+  `ALTER TABLE messages ADD COLUMN reply_to INTEGER;
+   ALTER TABLE messages ADD COLUMN thread_id INTEGER;
+   ALTER TABLE messages ADD COLUMN reply_count INTEGER NOT NULL DEFAULT 0;
+   ALTER TABLE messages ADD COLUMN last_reply_at INTEGER;
+   CREATE INDEX messages_thread ON messages (thread_id, timestamp, id) WHERE thread_id IS NOT NULL;`,
+  // 16: end-to-end encryption
+  `ALTER TABLE messages ADD COLUMN encrypted TEXT;
+   ALTER TABLE users ADD COLUMN public_key TEXT;
+   ALTER TABLE users ADD COLUMN public_key_at INTEGER;`,
+  // 17: revoking tokens on password change
+  `ALTER TABLE users ADD COLUMN token_version INTEGER;`,
+  // 18: usernames are unique regardless of case
+  `CREATE INDEX users_username_nocase ON users (username COLLATE NOCASE);`,
+];
+
+// Maps user fields to columns; dates are stored as epoch milliseconds and flags as 0/1
+const USER_COLUMNS = {
+  password: ["password", "text"],
+  failedLogins: ["failed_logins", "int"],
+  lockUntil: ["lock_until", "date"],
+  dob: ["dob", "text"],
+  gender: ["gender", "text"],
+  displayName: ["display_name", "text"],
+  bio: ["bio", "text"],
+  avatar: ["avatar", "text"],
+  bot: ["bot", "bool"],
+  lastSeen: ["last_seen", "date"],
+  statusText: ["status_text", "text"],
+  doNotDisturb: ["do_not_disturb", "bool"],
+  publicKey: ["public_key", "text"],
+  publicKeyAt: ["public_key_at", "date"],
+  tokenVersion: ["token_version", "int"],
+};
+
+const toDate = (ms) => (ms == null ? undefined : new Date(ms));
+const toMs = (date) => (date == null ? null : new Date(date).getTime());
+const flagsColumn = (flags) => (flags && flags.length ? JSON.stringify(flags) : null);
+
+function toColumn(type, value) {
+  if (type === "date") return toMs(value);
+  if (type === "bool") return value ? 1 : 0;
+  return value ?? null;
+}
+
+function toUser(row, contacts) {
+  if (!row) return null;
+  const user = { username: row.username, contacts, createdAt: toDate(row.created_at) };
+  for (const [field, [column, type]] of Object.entries(USER_COLUMNS)) {
+    // Flags are only present when set, like optional fields in the other backends
+    const value = type === "date" ? toDate(row[column]) : type === "bool" ? (row[column] ? true : undefined) : row[column];
+    if (value != null) user[field] = value;
+  }
+  return user;
+}
+
+function toMessage(row, { receipts = [], edits = [], reactions = [] } = {}) {
+  const mine = receipts.filter(r => r.message_id === row.id);
+  const reactionMap = {};
+  for (const r of reactions) {
+    if (r.message_id === row.id) (reactionMap[r.emoji] = reactionMap[r.emoji] || []).push(r.username);
+  }
+  return {
+    id: String(row.id),
+    conversationId: row.conversation_id,
+    sender: row.sender,
+    recipient: row.recipient,
+    message: row.message,
+    mood: row.mood || undefined,
+    moodScore: row.mood_score ?? undefined,
+    flags: row.flags ? JSON.parse(row.flags) : undefined,
+    timestamp: new Date(row.timestamp),
+    clientId: row.client_id || undefined,
+    attachment: row.attachment ? JSON.parse(row.attachment) : undefined,
+    encrypted: row.encrypted ? JSON.parse(row.encrypted) : undefined,
+    replyTo: row.reply_to != null ? String(row.reply_to) : undefined,
+    threadId: row.thread_id != null ? String(row.thread_id) : undefined,
+    replyCount: row.reply_count || undefined,
+    lastReplyAt: toDate(row.last_reply_at),
+    deliveredTo: mine.filter(r => r.kind === "delivered").map(r => r.username),
+    readBy: mine.filter(r => r.kind === "read").map(r => r.username),
+    edits: edits.filter(e => e.message_id === row.id).map(e => ({ message: e.message, editedAt: new Date(e.edited_at) })),
+    editedAt: toDate(row.edited_at),
+    deletedAt: toDate(row.deleted_at),
+    reactions: reactionMap,
+  };
+}
+
+function toAttachment(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    owner: row.owner,
+    recipient: row.recipient,
+    conversationId: row.conversation_id,
+    name: row.name,
+    mimeType: row.mime_type,
+    size: row.size,
+    width: row.width ?? undefined,
+    height: row.height ?? undefined,
+    thumbnail: Boolean(row.thumbnail),
+    createdAt: new Date(row.created_at),
+  };
+}
+
+function toApiToken(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    owner: row.owner,
+    name: row.name,
+    groupId: row.group_id ?? undefined,
+    tokenHash: row.token_hash,
+    createdAt: new Date(row.created_at),
+  };
+}
+
+// Delivery columns the dispatcher updates as attempts come and go
+const DELIVERY_COLUMNS = {
+  status: ["status", "text"],
+  attempts: ["attempts", "int"],
+  responseStatus: ["response_status", "int"],
+  error: ["error", "text"],
+  nextAttemptAt: ["next_attempt_at", "date"],
+  deliveredAt: ["delivered_at", "date"],
+};
+
+function toDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    messageId: row.message_id ?? undefined,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status ?? undefined,
+    error: row.error ?? undefined,
+    nextAttemptAt: toDate(row.next_attempt_at),
+    createdAt: new Date(row.created_at),
+    deliveredAt: toDate(row.delivered_at),
+  };
+}
+
+// Report columns a moderator changes when closing one
+const REPORT_COLUMNS = {
+  status: ["status", "text"],
+  resolvedBy: ["resolved_by", "text"],
+  resolvedAt: ["resolved_at", "date"],
+  resolution: ["resolution", "text"],
+};
+
+function toReport(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    reporter: row.reporter,
+    reportedUser: row.reported_user,
+    messageId: row.message_id,
+    conversationId: row.conversation_id,
+    reason: row.reason,
+    message: JSON.parse(row.message),
+    context: JSON.parse(row.context),
+    status: row.status,
+    resolvedBy: row.resolved_by ?? undefined,
+    resolvedAt: toDate(row.resolved_at),
+    resolution: row.resolution ?? undefined,
+    createdAt: new Date(row.created_at),
+  };
+}
+
+const placeholders = (list) => list.map(() => "?").join(", ");
+
+function createSqliteStorage({ filename }) {
+  let db;
+  let queue = Promise.resolve(); // statements and whole transactions take turns on the single connection
+  const inTransaction = new AsyncLocalStorage(); // set while a transaction's own statements run
+
+  // A statement from anywhere else waits for the open transaction to finish, rather than landing inside it and
+  // being committed or rolled back with someone else's work
+  function enqueue(statement) {
+    if (inTransaction.getStore()) return statement();
+    const result = queue.then(statement);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  const run = (sql, params = []) => enqueue(() => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  }));
+  const get = (sql, params = []) => enqueue(() => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  }));
+  const all = (sql, params = []) => enqueue(() => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  }));
+  const exec = (sql) => enqueue(() => new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  }));
+
+  // IMMEDIATE takes the write lock up front, which keeps several processes sharing a file from deadlocking
+  function transaction(fn) {
+    return enqueue(() => inTransaction.run(true, async () => {
+      await run("BEGIN IMMEDIATE");
+      try {
+        const value = await fn();
+        await run("COMMIT");
+        return value;
+      } catch (err) {
+        await run("ROLLBACK");
+        throw err;
+      }
+    }));
+  }
+
+  // The version is re-read under the write lock in case another process sharing the file migrated first
+  async function migrate() {
+    for (let i = 0; i < MIGRATIONS.length; i++) {
+      await transaction(async () => {
+        const { user_version: version } = await get("PRAGMA user_version");
+        if (version > i) return;
+        await exec(MIGRATIONS[i]);
+        await exec(`PRAGMA user_version = ${i + 1}`);
+      });
+    }
+  }
+
+  // Attaches receipts, edit history and reactions to a page of message rows
+  async function hydrate(rows) {
+    if (!rows.length) return [];
+    const ids = rows.map(r => r.id);
+    const inIds = `message_id IN (${placeholders(rows)})`;
+    const [receipts, edits, reactions] = await Promise.all([
+      all(`SELECT message_id, username, kind FROM receipts WHERE ${inIds}`, ids),
+      all(`SELECT message_id, message, edited_at FROM message_edits WHERE ${inIds} ORDER BY edited_at, rowid`, ids),
+      all(`SELECT message_id, emoji, username FROM reactions WHERE ${inIds} ORDER BY at, rowid`, ids),
+    ]);
+    return rows.map(row => toMessage(row, { receipts, edits, reactions }));
+  }
+
+  const notHiddenFor = "NOT EXISTS (SELECT 1 FROM hidden_messages h WHERE h.message_id = messages.id AND h.username = ?)";
+
+  async function loadGroup(row) {
+    if (!row) return null;
+    const members = await all(
+      "SELECT username, role FROM group_members WHERE group_id = ? ORDER BY position",
+      [row.group_id]
+    );
+    return {
+      groupId: row.group_id,
+      name: row.name,
+      owner: row.owner,
+      members,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at),
+    };
+  }
+
+  async function loadWebhooks(rows) {
+    if (!rows.length) return [];
+    const conversations = await all(
+      `SELECT webhook_id, conversation_id, peer FROM webhook_conversations WHERE webhook_id IN (${placeholders(rows)}) ORDER BY rowid`,
+      rows.map(r => r.id)
+    );
+    return rows.map(row => ({
+      id: row.id,
+      owner: row.owner,
+      url: row.url,
+      secret: row.secret,
+      conversations: conversations
+        .filter(c => c.webhook_id === row.id)
+        .map(c => ({ conversationId: c.conversation_id, peer: c.peer })),
+      createdAt: new Date(row.created_at),
+    }));
+  }
+
+  async function writeMembers(groupId, members) {
+    await run("DELETE FROM group_members WHERE group_id = ?", [groupId]);
+    for (const [position, { username, role }] of members.entries()) {
+      await run(
+        "INSERT INTO group_members (group_id, username, role, position) VALUES (?, ?, ?, ?)",
+        [groupId, username, role, position]
+      );
+    }
+  }
+
+  const storage = {
+    name: "sqlite",
+
+    async connect() {
+      if (filename !== ":memory:") fs.mkdirSync(path.dirname(filename), { recursive: true });
+      db = await new Promise((resolve, reject) => {
+        const handle = new sqlite3.Database(filename, (err) => (err ? reject(err) : resolve(handle)));
+      });
+      db.configure("busyTimeout", 5000);
+      await exec("PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON;");
+      await migrate();
+      console.log(`✅ SQLite ready at ${filename}`);
+    },
+
+    close() {
+      return new Promise((resolve, reject) => {
+        if (!db) return resolve();
+        db.close((err) => (err ? reject(err) : resolve()));
+      });
+    },
+
+    // --- users ---
+
+    async createUser(user) {
+      const columns = ["username", "created_at"];
+      const values = [user.username, Date.now()];
+      for (const [field, [column, type]] of Object.entries(USER_COLUMNS)) {
+        if (user[field] === undefined) continue;
+        columns.push(column);
+        values.push(toColumn(type, user[field]));
+      }
+      await run(
+        `INSERT INTO users (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+        values
+      );
+      return storage.findUser(user.username);
+    },
+
+    async findUser(username) {
+      const row = await get("SELECT * FROM users WHERE username = ?", [username]);
+      if (!row) return null;
+      const contacts = await all("SELECT contact FROM contacts WHERE username = ? ORDER BY rowid", [username]);
+      return toUser(row, contacts.map(c => c.contact));
+    },
+
+    async usernameTaken(username) {
+      return Boolean(await get("SELECT 1 FROM users WHERE username = ? COLLATE NOCASE", [username]));
+    },
+
+    async updateUser(username, fields) {
+      const assignments = [];
+      const values = [];
+      for (const [field, value] of Object.entries(fields)) {
+        const spec = USER_COLUMNS[field];
+        if (!spec) throw new Error(`Unknown user field "${field}"`);
+        assignments.push(`${spec[0]} = ?`);
+        values.push(toColumn(spec[1], value));
+      }
+      if (assignments.length) {
+        await run(`UPDATE users SET ${assignments.join(", ")} WHERE username = ?`, [...values, username]);
+      }
+      return storage.findUser(username);
+    },
+
+    // Case-insensitive (for ASCII) match on username or display name; usernames starting with the query come first
+    async searchUsers(query, limit) {
+      const escaped = query.replace(/[\\%_]/g, (c) => `\\${c}`);
+      const rows = await all(
+        `SELECT * FROM users
+         WHERE username LIKE ? ESCAPE '\\' OR display_name LIKE ? ESCAPE '\\'
+         ORDER BY username LIKE ? ESCAPE '\\' DESC, username
+         LIMIT ?`,
+        [`%${escaped}%`, `%${escaped}%`, `${escaped}%`, limit]
+      );
+      return rows.map(row => toUser(row, []));
+    },
+
+    async existingUsernames(usernames) {
+      if (!usernames.length) return [];
+      const rows = await all(
+        `SELECT username FROM users WHERE username IN (${placeholders(usernames)})`,
+        usernames
+      );
+      return rows.map(r => r.username);
+    },
+
+    async listPresence(usernames) {
+      if (!usernames.length) return [];
+      const rows = await all(
+        `SELECT username, last_seen, status_text, do_not_disturb FROM users WHERE username IN (${placeholders(usernames)})`,
+        usernames
+      );
+      return rows.map(r => ({
+        username: r.username,
+        lastSeen: toDate(r.last_seen),
+        statusText: r.status_text || undefined,
+        doNotDisturb: Boolean(r.do_not_disturb),
+      }));
+    },
+
+    async linkContacts(a, b) {
+      const { changes } = await run(
+        `INSERT OR IGNORE INTO contacts (username, contact)
+         SELECT ?, ? WHERE EXISTS (SELECT 1 FROM users WHERE username = ?)
+         UNION ALL
+         SELECT ?, ? WHERE EXISTS (SELECT 1 FROM users WHERE username = ?)`,
+        [a, b, a, b, a, b]
+      );
+      return changes > 0;
+    },
+
+    // --- groups ---
+
+    createGroup(group) {
+      return transaction(async () => {
+        const now = Date.now();
+        await run(
+          "INSERT INTO groups (group_id, name, owner, created_at, updated_at) VALUES (?, ?, ?, ?, ?)",
+          [group.groupId, group.name, group.owner, now, now]
+        );
+        await writeMembers(group.groupId, group.members);
+        return loadGroup(await get("SELECT * FROM groups WHERE group_id = ?", [group.groupId]));
+      });
+    },
+
+    async findGroup(groupId) {
+      return loadGroup(await get("SELECT * FROM groups WHERE group_id = ?", [groupId]));
+    },
+
+    async listGroupsFor(username) {
+      const rows = await all(
+        `SELECT g.* FROM groups g JOIN group_members m ON m.group_id = g.group_id
+         WHERE m.username = ? ORDER BY g.updated_at DESC`,
+        [username]
+      );
+      return Promise.all(rows.map(loadGroup));
+    },
+
+    saveGroup(group) {
+      return transaction(async () => {
+        await run(
+          "UPDATE groups SET name = ?, owner = ?, updated_at = ? WHERE group_id = ?",
+          [group.name, group.owner, Date.now(), group.groupId]
+        );
+        await writeMembers(group.groupId, group.members);
+        return loadGroup(await get("SELECT * FROM groups WHERE group_id = ?", [group.groupId]));
+      });
+    },
+
+    deleteGroup(groupId) {
+      return transaction(async () => {
+        await run("DELETE FROM group_members WHERE group_id = ?", [groupId]);
+        await run("DELETE FROM groups WHERE group_id = ?", [groupId]);
+      });
+    },
+
+    // --- conversations ---
+
+    async touchConversation(conversationId, { type, participants, lastMessageAt }) {
+      await run(
+        `INSERT INTO conversations (conversation_id, type, participants, last_message_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT (conversation_id) DO UPDATE SET
+           last_message_at = MAX(COALESCE(last_message_at, 0), excluded.last_message_at)`,
+        [conversationId, type, JSON.stringify(participants), toMs(lastMessageAt)]
+      );
+    },
+
+    // Newest activity first, each with the latest message `viewer` hasn't hidden
+    async listConversations(conversationIds, viewer) {
+      if (!conversationIds.length) return [];
+      const rows = await all(
+        `SELECT * FROM conversations WHERE conversation_id IN (${placeholders(conversationIds)})
+         ORDER BY last_message_at DESC`,
+        conversationIds
+      );
+      const latest = await hydrate(await all(
+        `SELECT * FROM (
+           SELECT *, ROW_NUMBER() OVER (PARTITION BY conversation_id ORDER BY timestamp DESC, id DESC) AS position
+           FROM messages WHERE conversation_id IN (${placeholders(conversationIds)}) AND ${notHiddenFor}
+         ) WHERE position = 1`,
+        [...conversationIds, viewer]
+      ));
+      return rows.map(row => ({
+        conversationId: row.conversation_id,
+        type: row.type,
+        participants: JSON.parse(row.participants),
+        lastMessageAt: toDate(row.last_message_at),
+        lastMessage: latest.find(m => m.conversationId === row.conversation_id) || null,
+      }));
+    },
+
+    // --- messages ---
+
+    async createMessage(message) {
+      const { lastID } = await run(
+        `INSERT INTO messages (conversation_id, sender, recipient, message, mood, mood_score, flags, timestamp, client_id, attachment, reply_to, thread_id, encrypted)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [message.conversationId, message.sender, message.recipient, message.message, message.mood || null, message.moodScore ?? null,
+          flagsColumn(message.flags), toMs(message.timestamp), message.clientId || null,
+          message.attachment ? JSON.stringify(message.attachment) : null, message.replyTo || null, message.threadId || null,
+          message.encrypted ? JSON.stringify(message.encrypted) : null]
+      );
+      if (message.threadId) {
+        await run("UPDATE messages SET reply_count = reply_count + 1, last_reply_at = ? WHERE id = ?", [toMs(message.timestamp), message.threadId]);
+      }
+      return toMessage(await get("SELECT * FROM messages WHERE id = ?", [lastID]));
+    },
+
+    async findMessageByClientId(sender, clientId) {
+      const row = await get("SELECT * FROM messages WHERE sender = ? AND client_id = ?", [sender, clientId]);
+      return row ? (await hydrate([row]))[0] : null;
+    },
+
+    async getMessages(ids) {
+      if (!ids.length) return [];
+      return hydrate(await all(`SELECT * FROM messages WHERE id IN (${placeholders(ids)})`, ids));
+    },
+
+    async messagesSince(username, groupIds, since, limit) {
+      const rows = await all(
+        `SELECT * FROM messages
+         WHERE timestamp >= ? AND (sender = ? OR recipient = ?${groupIds.length ? ` OR recipient IN (${placeholders(groupIds)})` : ""})
+           AND ${notHiddenFor}
+         ORDER BY timestamp, id LIMIT ?`,
+        [toMs(since), username, username, ...groupIds, username, limit + 1]
+      );
+      return { messages: await hydrate(rows.slice(0, limit)), hasMore: rows.length > limit };
+    },
+
+    // The main flow of the conversation, or with `threadId` the replies in that thread
+    async listMessages(conversationId, { before, after, limit, viewer, threadId }) {
+      const cursorId = before || after;
+      let where = `conversation_id = ? AND ${threadId ? "thread_id = ?" : "thread_id IS NULL"}`;
+      const params = threadId ? [conversationId, threadId] : [conversationId];
+      if (viewer) {
+        where += ` AND ${notHiddenFor}`;
+        params.push(viewer);
+      }
+      if (cursorId) {
+        const cursor = await get("SELECT id, timestamp FROM messages WHERE id = ? AND conversation_id = ?", [cursorId, conversationId]);
+        if (!cursor) return null;
+        const op = before ? "<" : ">";
+        where += ` AND (timestamp ${op} ? OR (timestamp = ? AND id ${op} ?))`;
+        params.push(cursor.timestamp, cursor.timestamp, cursor.id);
+      }
+
+      const direction = after ? "ASC" : "DESC";
+      const rows = await all(
+        `SELECT * FROM messages WHERE ${where} ORDER BY timestamp ${direction}, id ${direction} LIMIT ?`,
+        [...params, limit + 1]
+      );
+
+      const hasMore = rows.length > limit;
+      const list = await hydrate(rows.slice(0, limit));
+      if (!after) list.reverse(); // always oldest first
+      return { messages: list, hasMore };
+    },
+
+    // Every term must prefix-match a word; newest hits first, paging back from the `before` message
+    async searchMessages({ conversationIds, terms, sender, since, until, before, limit, viewer }) {
+      if (!conversationIds.length || !terms.length) return { messages: [], hasMore: false };
+      let where = `messages_fts MATCH ? AND conversation_id IN (${placeholders(conversationIds)})
+        AND deleted_at IS NULL AND ${notHiddenFor}`;
+      const params = [terms.map(term => `"${term}"*`).join(" "), ...conversationIds, viewer];
+      if (sender) {
+        where += " AND sender = ?";
+        params.push(sender);
+      }
+      if (since) {
+        where += " AND timestamp >= ?";
+        params.push(toMs(since));
+      }
+      if (until) {
+        where += " AND timestamp <= ?";
+        params.push(toMs(until));
+      }
+      if (before) {
+        const cursor = await get("SELECT id, timestamp FROM messages WHERE id = ?", [before]);
+        if (!cursor) return null;
+        where += " AND (timestamp < ? OR (timestamp = ? AND id < ?))";
+        params.push(cursor.timestamp, cursor.timestamp, cursor.id);
+      }
+      const rows = await all(
+        `SELECT messages.* FROM messages JOIN messages_fts ON messages_fts.rowid = messages.id
+         WHERE ${where} ORDER BY timestamp DESC, id DESC LIMIT ?`,
+        [...params, limit + 1]
+      );
+      return { messages: await hydrate(rows.slice(0, limit)), hasMore: rows.length > limit };
+    },
+
+    async editMessage(id, { message, mood, moodScore, flags }, editedAt) {
+      return transaction(async () => {
+        const row = await get("SELECT message FROM messages WHERE id = ? AND deleted_at IS NULL", [id]);
+        if (!row) return null;
+        await run("INSERT INTO message_edits (message_id, message, edited_at) VALUES (?, ?, ?)", [id, row.message, toMs(editedAt)]);
+        await run("UPDATE messages SET message = ?, mood = ?, mood_score = ?, flags = ?, edited_at = ? WHERE id = ?",
+          [message, mood || null, moodScore ?? null, flagsColumn(flags), toMs(editedAt), id]);
+        await run("DELETE FROM ai_results WHERE message_id = ?", [id]);
+        return (await storage.getMessages([String(id)]))[0];
+      });
+    },
+
+    // Leaves a tombstone: the row stays so receipts and pagination cursors still resolve
+    async deleteMessage(id, deletedAt) {
+      return transaction(async () => {
+        const { changes } = await run(
+          "UPDATE messages SET message = NULL, mood = NULL, mood_score = NULL, flags = NULL, attachment = NULL, encrypted = NULL, deleted_at = ? WHERE id = ? AND deleted_at IS NULL",
+          [toMs(deletedAt), id]
+        );
+        if (!changes) return null;
+        await run("DELETE FROM message_edits WHERE message_id = ?", [id]);
+        await run("DELETE FROM reactions WHERE message_id = ?", [id]);
+        await run("DELETE FROM ai_results WHERE message_id = ?", [id]);
+        return (await storage.getMessages([String(id)]))[0];
+      });
+    },
+
+    async hideMessage(id, username) {
+      await run("INSERT OR IGNORE INTO hidden_messages (message_id, username) VALUES (?, ?)", [id, username]);
+    },
+
+    async toggleReaction(id, username, emoji) {
+      return transaction(async () => {
+        const row = await get("SELECT id FROM messages WHERE id = ? AND deleted_at IS NULL", [id]);
+        if (!row) return null;
+        const removed = await run("DELETE FROM reactions WHERE message_id = ? AND emoji = ? AND username = ?", [id, emoji, username]);
+        if (!removed.changes) {
+          await run("INSERT INTO reactions (message_id, emoji, username, at) VALUES (?, ?, ?, ?)", [id, emoji, username, Date.now()]);
+        }
+        return (await storage.getMessages([String(id)]))[0];
+      });
+    },
+
+    // --- attachments ---
+
+    async createAttachment(attachment) {
+      await run(
+        `INSERT INTO attachments (id, owner, recipient, conversation_id, name, mime_type, size, width, height, thumbnail, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [attachment.id, attachment.owner, attachment.recipient, attachment.conversationId, attachment.name,
+          attachment.mimeType, attachment.size, attachment.width ?? null, attachment.height ?? null,
+          attachment.thumbnail ? 1 : 0, Date.now()]
+      );
+      return storage.findAttachment(attachment.id);
+    },
+
+    async findAttachment(id) {
+      return toAttachment(await get("SELECT * FROM attachments WHERE id = ?", [id]));
+    },
+
+    async deleteAttachment(id) {
+      await run("DELETE FROM attachments WHERE id = ?", [id]);
+    },
+
+    // --- ai results ---
+
+    async findAIResult(messageId, key) {
+      const row = await get("SELECT value FROM ai_results WHERE message_id = ? AND key = ?", [messageId, key]);
+      return row ? row.value : null;
+    },
+
+    async saveAIResult(messageId, key, value) {
+      await run(
+        `INSERT INTO ai_results (message_id, key, value, created_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT (message_id, key) DO UPDATE SET value = excluded.value, created_at = excluded.created_at`,
+        [messageId, key, value, Date.now()]
+      );
+    },
+
+    // --- integrations ---
+
+    async createApiToken(token) {
+      await run(
+        "INSERT INTO api_tokens (id, owner, name, group_id, token_hash, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+        [token.id, token.owner, token.name, token.groupId ?? null, token.tokenHash, Date.now()]
+      );
+      return toApiToken(await get("SELECT * FROM api_tokens WHERE id = ?", [token.id]));
+    },
+
+    async findApiToken(tokenHash) {
+      return toApiToken(await get("SELECT * FROM api_tokens WHERE token_hash = ?", [tokenHash]));
+    },
+
+    async listApiTokens(owner) {
+      const rows = await all("SELECT * FROM api_tokens WHERE owner = ? ORDER BY created_at, rowid", [owner]);
+      return rows.map(toApiToken);
+    },
+
+    async deleteApiToken(id) {
+      await run("DELETE FROM api_tokens WHERE id = ?", [id]);
+    },
+
+    async createWebhook(webhook) {
+      await transaction(async () => {
+        await run(
+          "INSERT INTO webhooks (id, owner, url, secret, created_at) VALUES (?, ?, ?, ?, ?)",
+          [webhook.id, webhook.owner, webhook.url, webhook.secret, Date.now()]
+        );
+        for (const { conversationId, peer } of webhook.conversations) {
+          await run(
+            "INSERT OR IGNORE INTO webhook_conversations (webhook_id, conversation_id, peer) VALUES (?, ?, ?)",
+            [webhook.id, conversationId, peer]
+          );
+        }
+      });
+      return storage.findWebhook(webhook.id);
+    },
+
+    async findWebhook(id) {
+      const row = await get("SELECT * FROM webhooks WHERE id = ?", [id]);
+      return row ? (await loadWebhooks([row]))[0] : null;
+    },
+
+    async listWebhooks(owner) {
+      return loadWebhooks(await all("SELECT * FROM webhooks WHERE owner = ? ORDER BY created_at, rowid", [owner]));
+    },
+
+    async webhooksFor(conversationId) {
+      return loadWebhooks(await all(
+        `SELECT webhooks.* FROM webhooks JOIN webhook_conversations c ON c.webhook_id = webhooks.id
+         WHERE c.conversation_id = ?`,
+        [conversationId]
+      ));
+    },
+
+    // Its conversations and delivery log go with it
+    async deleteWebhook(id) {
+      await run("DELETE FROM webhooks WHERE id = ?", [id]);
+    },
+
+    async createDelivery(delivery) {
+      await run(
+        `INSERT INTO webhook_deliveries (id, webhook_id, event, message_id, payload, status, attempts, next_attempt_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+        [delivery.id, delivery.webhookId, delivery.event, delivery.messageId ?? null, delivery.payload,
+          delivery.status, toMs(delivery.nextAttemptAt), Date.now()]
+      );
+    },
+
+    async updateDelivery(id, fields) {
+      const assignments = [];
+      const values = [];
+      for (const [field, value] of Object.entries(fields)) {
+        const spec = DELIVERY_COLUMNS[field];
+        if (!spec) throw new Error(`Unknown delivery field "${field}"`);
+        assignments.push(`${spec[0]} = ?`);
+        values.push(toColumn(spec[1], value));
+      }
+      if (assignments.length) await run(`UPDATE webhook_deliveries SET ${assignments.join(", ")} WHERE id = ?`, [...values, id]);
+    },
+
+    // Pending deliveries that are due, pushed back to `leaseUntil` so no other sweep picks them up meanwhile
+    async claimDueDeliveries(now, leaseUntil, limit) {
+      return transaction(async () => {
+        const rows = await all(
+          "SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?",
+          [toMs(now), limit]
+        );
+        if (rows.length) {
+          await run(
+            `UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id IN (${placeholders(rows)})`,
+            [toMs(leaseUntil), ...rows.map(r => r.id)]
+          );
+        }
+        return rows.map(toDelivery);
+      });
+    },
+
+    async listDeliveries(webhookId, limit) {
+      const rows = await all(
+        "SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?",
+        [webhookId, limit]
+      );
+      return rows.map(toDelivery);
+    },
+
+    async pruneDeliveries(before) {
+      await run("DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?", [toMs(before)]);
+    },
+
+    // --- blocks, mutes and reports ---
+
+    async blockUser(username, target) {
+      await run("INSERT OR IGNORE INTO blocks (username, target, created_at) VALUES (?, ?, ?)", [username, target, Date.now()]);
+    },
+
+    async unblockUser(username, target) {
+      const { changes } = await run("DELETE FROM blocks WHERE username = ? AND target = ?", [username, target]);
+      return changes > 0;
+    },
+
+    async blockRelations(username) {
+      const [blocked, blockedBy] = await Promise.all([
+        all("SELECT target, created_at FROM blocks WHERE username = ? ORDER BY created_at, rowid", [username]),
+        all("SELECT username FROM blocks WHERE target = ?", [username]),
+      ]);
+      return {
+        blocked: blocked.map(r => ({ username: r.target, createdAt: new Date(r.created_at) })),
+        blockedBy: blockedBy.map(r => r.username),
+      };
+    },
+
+    async muteConversation(username, conversationId, { peer, until }) {
+      await run(
+        `INSERT INTO mutes (username, conversation_id, peer, until) VALUES (?, ?, ?, ?)
+         ON CONFLICT (username, conversation_id) DO UPDATE SET peer = excluded.peer, until = excluded.until`,
+        [username, conversationId, peer, toMs(until)]
+      );
+    },
+
+    async unmuteConversation(username, conversationId) {
+      const { changes } = await run("DELETE FROM mutes WHERE username = ? AND conversation_id = ?", [username, conversationId]);
+      return changes > 0;
+    },
+
+    async listMutes(username) {
+      const rows = await all("SELECT * FROM mutes WHERE username = ?", [username]);
+      return rows.map(r => ({ conversationId: r.conversation_id, peer: r.peer, until: toDate(r.until) }));
+    },
+
+    async mutedUsers(conversationId, now) {
+      const rows = await all(
+        "SELECT username FROM mutes WHERE conversation_id = ? AND (until IS NULL OR until > ?)",
+        [conversationId, toMs(now)]
+      );
+      return rows.map(r => r.username);
+    },
+
+    async createReport(report) {
+      await run(
+        `INSERT INTO reports (id, reporter, reported_user, message_id, conversation_id, reason, message, context, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [report.id, report.reporter, report.reportedUser, report.messageId, report.conversationId, report.reason,
+          JSON.stringify(report.message), JSON.stringify(report.context), report.status, Date.now()]
+      );
+      return storage.findReport(report.id);
+    },
+
+    async findReport(id) {
+      return toReport(await get("SELECT * FROM reports WHERE id = ?", [id]));
+    },
+
+    async listReports({ status, limit }) {
+      const rows = status
+        ? await all("SELECT * FROM reports WHERE status = ? ORDER BY created_at DESC, rowid DESC LIMIT ?", [status, limit])
+        : await all("SELECT * FROM reports ORDER BY created_at DESC, rowid DESC LIMIT ?", [limit]);
+      return rows.map(toReport);
+    },
+
+    async updateReport(id, fields) {
+      const assignments = [];
+      const values = [];
+      for (const [field, value] of Object.entries(fields)) {
+        const spec = REPORT_COLUMNS[field];
+        if (!spec) throw new Error(`Unknown report field "${field}"`);
+        assignments.push(`${spec[0]} = ?`);
+        values.push(toColumn(spec[1], value));
+      }
+      if (assignments.length) await run(`UPDATE reports SET ${assignments.join(", ")} WHERE id = ?`, [...values, id]);
+      return storage.findReport(id);
+    },
+
+    // --- receipts ---
+
+    async addReceipts(ids, username, kind) {
+      const changed = [];
+      const now = Date.now();
+      for (const id of ids) {
+        // Reading a message implies it was delivered
+        const delivered = await run(
+          "INSERT OR IGNORE INTO receipts (message_id, username, kind, at) VALUES (?, ?, 'delivered', ?)",
+          [id, username, now]
+        );
+        let updated = kind === "delivered" && delivered.changes > 0;
+        if (kind === "read") {
+          const read = await run(
+            "INSERT OR IGNORE INTO receipts (message_id, username, kind, at) VALUES (?, ?, 'read', ?)",
+            [id, username, now]
+          );
+          updated = read.changes > 0;
+        }
+        if (updated) changed.push(String(id));
+      }
+      return storage.getMessages(changed);
+    },
+
+    async markRead(conversationId, username, upToId) {
+      const notRead = `conversation_id = ? AND sender != ? AND NOT EXISTS (
+        SELECT 1 FROM receipts r WHERE r.message_id = messages.id AND r.username = ? AND r.kind = 'read')`;
+      let where = notRead;
+      const params = [conversationId, username, username];
+      if (upToId) {
+        const cursor = await get("SELECT id, timestamp FROM messages WHERE id = ? AND conversation_id = ?", [upToId, conversationId]);
+        if (!cursor) return null;
+        where += " AND (timestamp < ? OR (timestamp = ? AND id <= ?))";
+        params.push(cursor.timestamp, cursor.timestamp, cursor.id);
+      }
+      const rows = await all(`SELECT id FROM messages WHERE ${where}`, params);
+      const changed = await storage.addReceipts(rows.map(r => r.id), username, "read");
+
+      const { remaining } = await get(`SELECT COUNT(*) AS remaining FROM messages WHERE ${notRead}`, [conversationId, username, username]);
+      await run("UPDATE unread SET count = ? WHERE username = ? AND conversation_id = ?", [remaining, username, conversationId]);
+      return changed;
+    },
+
+    async incrementUnread(conversationId, recipients) {
+      for (const { username, peer } of recipients) {
+        await run(
+          `INSERT INTO unread (username, conversation_id, peer, count) VALUES (?, ?, ?, 1)
+           ON CONFLICT (username, conversation_id) DO UPDATE SET count = count + 1`,
+          [username, conversationId, peer]
+        );
+      }
+    },
+
+    async unreadCounts(username) {
+      const rows = await all("SELECT peer, count FROM unread WHERE username = ? AND count > 0", [username]);
+      return Object.fromEntries(rows.map(r => [r.peer, r.count]));
+    },
+  };
+
+  return storage;
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,508 @@
+// test/e2e.test.js — drives a real server over HTTP and WebSockets: accounts, direct messages, history and typing
+//
+// The suite runs once per storage backend, each time against its own in-process server with a private bus and a
+// temporary folder for uploads and the SQLite file. Every test makes its own users, so tests can run alone or in any order.
+// A last suite runs two instances on one storage and the Redis stand-in, as a deployment with several would.
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const protocol = require("../protocol");
+const { createChatServer } = require("../server");
+const { createStorage } = require("../storage");
+const { createBus } = require("../bus");
+const { createFileStore } = require("../files");
+const { createRedisStandin } = require("../bus/redis-standin");
+const { signToken } = require("../middleware/auth");
+const { hashPassword } = require("../utils/password");
+
+const FRAME_TIMEOUT_MS = 2000;
+const PASSWORD = "secret-pass1";
+const DRIVERS = ["memory", "sqlite"];
+
+// Sign-ups are limited per address; a test that needs more of them sends its own with X-Forwarded-For
+process.env.TRUST_PROXY = "loopback";
+
+let storage;
+let baseUrl;
+let userCount = 0;
+
+// A fresh account stored directly, since sign-ups and logins over HTTP are rate limited per address
+async function newUser(name) {
+  const username = `${name}${++userCount}`;
+  await storage.createUser({ username, password: await hashPassword(PASSWORD) });
+  return { username, token: signToken({ username }) };
+}
+
+async function request(method, url, body, token, headers = {}) {
+  const res = await fetch(baseUrl + url, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }), ...headers },
+    body: body && JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// A socket that keeps every frame it receives, so tests can wait for the next one of a type
+function openSocket(url = baseUrl) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url.replace("http", "ws"));
+    const frames = [];
+    const waiting = [];
+    ws.on("message", (data) => {
+      const frame = JSON.parse(data);
+      const index = waiting.findIndex(w => w.match(frame));
+      if (index === -1) return frames.push(frame);
+      const [waiter] = waiting.splice(index, 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(frame);
+    });
+    ws.on("error", reject);
+    ws.on("open", () => resolve({
+      send: (type, fields) => ws.send(protocol.encode(type, fields)),
+      sendRaw: (data) => ws.send(typeof data === "string" ? data : JSON.stringify(data)),
+      close: () => ws.close(),
+      // The first unclaimed frame of `type` (and matching `filter`), received already or within FRAME_TIMEOUT_MS
+      next(type, filter = () => true) {
+        const match = (frame) => frame.type === type && filter(frame);
+        const index = frames.findIndex(match);
+        if (index !== -1) return Promise.resolve(frames.splice(index, 1)[0]);
+        return new Promise((resolveFrame, rejectFrame) => {
+          const waiter = { match, resolve: resolveFrame };
+          waiter.timer = setTimeout(() => {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            rejectFrame(new Error(`No ${type} frame within ${FRAME_TIMEOUT_MS}ms`));
+          }, FRAME_TIMEOUT_MS);
+          waiting.push(waiter);
+        });
+      },
+      has: (type) => frames.some(frame => frame.type === type),
+    }));
+  });
+}
+
+async function connectAs({ token }, url = baseUrl) {
+  const socket = await openSocket(url);
+  socket.send("connect", { token, version: protocol.VERSION });
+  socket.connected = await socket.next("connect-response");
+  assert.equal(socket.connected.version, protocol.VERSION);
+  return socket;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+
+for (const driver of DRIVERS) {
+  describe(`${driver} storage`, () => {
+    let chat;
+    let dataDir;
+
+    before(async () => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-x-test-"));
+      storage = createStorage({ driver, filename: path.join(dataDir, "chat-x.sqlite") });
+      chat = createChatServer({
+        storage,
+        bus: createBus({ driver: "local", hub: new EventEmitter() }),
+        files: createFileStore({ dir: path.join(dataDir, "uploads") }),
+        port: 0,
+        host: "127.0.0.1",
+      });
+      const { port } = await chat.start();
+      baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    after(async () => {
+      await chat.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test("register and login", async () => {
+      const username = `dana${++userCount}`;
+      assert.equal((await request("POST", "/register", { username, password: PASSWORD })).status, 200);
+      const login = await request("POST", "/login", { username, password: PASSWORD });
+      assert.equal(login.status, 200);
+      const { token } = login.body;
+      assert.equal((await request("GET", "/conversations", undefined, token)).status, 200);
+      // Only media routes take the token from the URL
+      assert.equal((await request("GET", `/conversations?token=${token}`)).status, 401);
+      assert.equal((await request("POST", "/register", { username, password: PASSWORD })).status, 400);
+      assert.equal((await request("POST", "/login", { username, password: "wrong-pass1" })).status, 401);
+      assert.equal((await request("POST", "/login", { username: { $ne: null }, password: PASSWORD })).status, 400);
+      assert.equal((await request("POST", "/register", { username: "shorty", password: "x" })).status, 400);
+      // Group ids start with group-, and usernames end up in URLs
+      assert.equal((await request("POST", "/register", { username: "group-abc", password: PASSWORD })).status, 400);
+      assert.equal((await request("POST", "/register", { username: "bad name!", password: PASSWORD })).status, 400);
+    });
+
+    test("usernames need a letter or digit and are unique regardless of case", async () => {
+      const from = { "X-Forwarded-For": "203.0.113.3" };
+      const register = (username) => request("POST", "/register", { username, password: PASSWORD }, undefined, from);
+      assert.equal((await register(".")).status, 400);
+      assert.equal((await register("..")).status, 400);
+      assert.equal((await register("_-")).status, 400);
+      const username = `Erin.${++userCount}`;
+      assert.equal((await register(username)).status, 200);
+      assert.equal((await register(username.toLowerCase())).status, 400);
+    });
+
+    test("changing the password needs the current one and revokes older tokens", async () => {
+      const pat = await newUser("pat");
+      const { token: otherDevice } = (await request("POST", "/login", { username: pat.username, password: PASSWORD })).body;
+      const changed = await request("POST", "/account/password", { currentPassword: PASSWORD, newPassword: "another-pass1" }, pat.token);
+      assert.equal(changed.status, 200);
+      assert.equal((await request("GET", "/conversations", undefined, changed.body.token)).status, 200);
+      for (const token of [pat.token, otherDevice]) {
+        assert.equal((await request("GET", "/conversations", undefined, token)).status, 401);
+      }
+      const socket = await openSocket();
+      socket.send("connect", { token: otherDevice, version: protocol.VERSION });
+      assert.equal((await socket.next("error")).code, "unauthorized");
+
+      // Wrong guesses lock the account like failed logins do
+      const wrong = { currentPassword: "not-my-pass", newPassword: "third-pass1" };
+      for (let i = 0; i < 5; i++) {
+        assert.equal((await request("POST", "/account/password", wrong, changed.body.token)).status, 401);
+      }
+      assert.equal((await request("POST", "/account/password", wrong, changed.body.token)).status, 423);
+      assert.equal((await request("POST", "/login", { username: pat.username, password: "another-pass1" })).status, 423);
+    });
+
+    test("a direct message is acked, delivered and kept in history", async () => {
+      const alice = await newUser("alice");
+      const bob = await newUser("bob");
+      const aliceSocket = await connectAs(alice);
+      const bobSocket = await connectAs(bob);
+
+      aliceSocket.send("message", { recipient: bob.username, message: "Hi Bob, great to see you!", clientId: "m1" });
+      const ack = await aliceSocket.next("ack");
+      assert.equal(ack.clientId, "m1");
+      const received = await bobSocket.next("message");
+      assert.equal(received.id, ack.id);
+      assert.equal(received.sender, alice.username);
+      assert.equal(received.message, "Hi Bob, great to see you!");
+      assert.equal(received.mood, "happy");
+
+      // A resend after a reconnect is acked again without a second copy
+      aliceSocket.send("message", { recipient: bob.username, message: "Hi Bob, great to see you!", clientId: "m1" });
+      assert.equal((await aliceSocket.next("ack")).id, ack.id);
+
+      bobSocket.send("message", { recipient: alice.username, message: "Hello Alice", clientId: "m2" });
+      await bobSocket.next("ack");
+      await aliceSocket.next("message");
+
+      const history = await request("GET", `/history?peer=${alice.username}`, undefined, bob.token);
+      assert.equal(history.status, 200);
+      assert.deepEqual(history.body.messages.map(m => m.message), ["Hi Bob, great to see you!", "Hello Alice"]);
+      assert.equal(history.body.hasMore, false);
+
+      const conversations = await request("GET", "/conversations", undefined, alice.token);
+      assert.deepEqual(conversations.body.map(c => c.id), [bob.username]);
+      assert.equal(conversations.body[0].unread, 1);
+
+      // Nothing is kept for a name nobody has registered
+      aliceSocket.send("message", { recipient: "ghost", message: "secret for ghost", clientId: "m5" });
+      assert.equal((await aliceSocket.next("error", f => f.clientId === "m5")).code, "not_found");
+
+      aliceSocket.close();
+      bobSocket.close();
+    });
+
+    test("a socket's frames are handled in the order they were sent", async () => {
+      const alice = await newUser("alice");
+      const bob = await newUser("bob");
+      const aliceSocket = await connectAs(alice);
+
+      aliceSocket.send("message", { recipient: bob.username, message: "zero", clientId: "o" });
+      const { id: replyTo } = await aliceSocket.next("ack");
+      // A reply takes more lookups than a plain message, which mustn't overtake it
+      const texts = ["one", "two", "three", "four", "five"];
+      texts.forEach((message, i) => aliceSocket.send("message", { recipient: bob.username, message, clientId: `o${i}`, replyTo: i ? undefined : replyTo }));
+      const acks = [];
+      for (const i of texts.keys()) acks.push(await aliceSocket.next("ack", f => f.clientId === `o${i}`));
+      for (const [i, ack] of acks.slice(1).entries()) assert.ok(ack.timestamp >= acks[i].timestamp);
+
+      const history = await request("GET", `/history?peer=${bob.username}`, undefined, alice.token);
+      assert.deepEqual(history.body.messages.map(m => m.message), ["zero", ...texts]);
+
+      aliceSocket.close();
+    });
+
+    test("repeating a message floods one conversation but not several", async () => {
+      const alice = await newUser("alice");
+      const friends = [await newUser("bob"), await newUser("carol"), await newUser("dave")];
+      const aliceSocket = await connectAs(alice);
+
+      for (const [i, friend] of friends.entries()) {
+        aliceSocket.send("message", { recipient: friend.username, message: "hi", clientId: `g${i}` });
+        await aliceSocket.next("ack", f => f.clientId === `g${i}`);
+      }
+      aliceSocket.send("message", { recipient: friends[0].username, message: "hi", clientId: "g3" });
+      await aliceSocket.next("ack", f => f.clientId === "g3");
+      aliceSocket.send("message", { recipient: friends[0].username, message: "hi", clientId: "g4" });
+      assert.equal((await aliceSocket.next("error", f => f.clientId === "g4")).code, "moderated");
+
+      aliceSocket.close();
+    });
+
+    test("messages sent while offline arrive through sync", async () => {
+      const alice = await newUser("alice");
+      const carol = await newUser("carol");
+      const carolSocket = await connectAs(carol);
+      const { serverTime } = carolSocket.connected;
+      carolSocket.close();
+      await sleep(50);
+
+      const aliceSocket = await connectAs(alice);
+      aliceSocket.send("message", { recipient: carol.username, message: "Are you there?", clientId: "m3" });
+      await aliceSocket.next("ack");
+
+      const back = await connectAs(carol);
+      back.send("sync", { since: serverTime });
+      const { messages, hasMore } = await back.next("sync");
+      assert.deepEqual(messages.map(m => m.message), ["Are you there?"]);
+      assert.equal(hasMore, false);
+
+      aliceSocket.close();
+      back.close();
+    });
+
+    test("typing reaches the other side only", async () => {
+      const alice = await newUser("alice");
+      const bob = await newUser("bob");
+      const aliceSocket = await connectAs(alice);
+      const bobSocket = await connectAs(bob);
+
+      aliceSocket.send("typing", { recipient: bob.username });
+      assert.equal((await bobSocket.next("typing")).sender, alice.username);
+      await sleep(100);
+      assert.equal(aliceSocket.has("typing"), false);
+
+      aliceSocket.close();
+      bobSocket.close();
+    });
+
+    test("replies quote their message and thread replies stay in the thread", async () => {
+      const alice = await newUser("alice");
+      const bob = await newUser("bob");
+      const carol = await newUser("carol");
+      const aliceSocket = await connectAs(alice);
+      const carolSocket = await connectAs(carol);
+
+      aliceSocket.send("message", { recipient: carol.username, message: "Lunch at noon?", clientId: "t1" });
+      const root = await aliceSocket.next("ack");
+      carolSocket.send("message", { recipient: alice.username, message: "Sounds good", clientId: "t2", replyTo: root.id });
+      const quoting = await aliceSocket.next("message", m => m.clientId === undefined && m.sender === carol.username);
+      assert.equal(quoting.replyTo, root.id);
+      assert.equal(quoting.replyPreview.message, "Lunch at noon?");
+
+      carolSocket.send("message", { recipient: alice.username, message: "Where though?", clientId: "t3", threadId: root.id });
+      const reply = await carolSocket.next("ack", f => f.clientId === "t3");
+      const update = await aliceSocket.next("messageUpdate", f => f.message.id === root.id);
+      assert.equal(update.message.replyCount, 1);
+      // Threads don't nest
+      carolSocket.send("message", { recipient: alice.username, message: "Deeper", clientId: "t4", threadId: reply.id });
+      assert.equal((await carolSocket.next("error")).code, "invalid_request");
+
+      const history = await request("GET", `/history?peer=${carol.username}`, undefined, alice.token);
+      assert.deepEqual(history.body.messages.map(m => m.message), ["Lunch at noon?", "Sounds good"]);
+      assert.equal(history.body.messages[1].replyPreview.id, root.id);
+      const thread = await request("GET", `/messages/${reply.id}/thread`, undefined, alice.token);
+      assert.equal(thread.status, 200);
+      assert.equal(thread.body.root.id, root.id);
+      assert.deepEqual(thread.body.messages.map(m => m.message), ["Where though?"]);
+      assert.equal((await request("GET", `/messages/${root.id}/thread`, undefined, bob.token)).status, 404);
+
+      aliceSocket.close();
+      carolSocket.close();
+    });
+
+    test("encrypted direct messages are stored and relayed as ciphertext only", async () => {
+      const alice = await newUser("alice");
+      const bob = await newUser("bob");
+      const publicKey = async () => {
+        const pair = await crypto.subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, true, ["deriveBits"]);
+        return Buffer.from(await crypto.subtle.exportKey("spki", pair.publicKey)).toString("base64");
+      };
+      const aliceKey = await publicKey();
+      const bobKey = await publicKey();
+      assert.equal((await request("GET", `/keys/${bob.username}`, undefined, alice.token)).status, 404);
+      assert.equal((await request("PUT", "/keys", { publicKey: "not a key" }, alice.token)).status, 400);
+      assert.equal((await request("PUT", "/keys", { publicKey: aliceKey }, alice.token)).status, 200);
+      // Key changes go to contacts, which a first message makes them
+      const aliceSocket = await connectAs(alice);
+      const bobSocket = await connectAs(bob);
+      bobSocket.send("message", { recipient: alice.username, message: "Hi", clientId: "e0" });
+      await aliceSocket.next("message");
+      assert.equal((await request("PUT", "/keys", { publicKey: bobKey }, bob.token)).status, 200);
+      assert.equal((await aliceSocket.next("keyChange")).username, bob.username);
+      assert.equal((await request("GET", `/keys/${bob.username}`, undefined, alice.token)).body.publicKey, bobKey);
+
+      const encrypted = { ciphertext: Buffer.from("opaque bytes").toString("base64"), iv: Buffer.alloc(12).toString("base64"), senderKey: aliceKey, recipientKey: bobKey };
+      aliceSocket.send("message", { recipient: bob.username, message: "", clientId: "e1", encrypted });
+      const received = await bobSocket.next("message", m => m.sender === alice.username);
+      assert.equal(received.message, "");
+      assert.deepEqual(received.encrypted, encrypted);
+      assert.equal(received.mood, undefined);
+
+      // Plain text alongside the envelope, or a key that isn't the published one, is refused
+      aliceSocket.send("message", { recipient: bob.username, message: "leaked", clientId: "e2", encrypted });
+      assert.equal((await aliceSocket.next("error")).code, "invalid_request");
+      aliceSocket.send("message", { recipient: bob.username, message: "", clientId: "e3", encrypted: { ...encrypted, recipientKey: aliceKey } });
+      assert.equal((await aliceSocket.next("error")).code, "conflict");
+
+      // A command from an encrypted chat comes in the clear and is answered just for the sender, or refused
+      aliceSocket.send("message", { recipient: bob.username, message: "/help", clientId: "e4", command: true });
+      assert.equal((await aliceSocket.next("botReply")).clientId, "e4");
+      aliceSocket.send("message", { recipient: bob.username, message: "/nope secret", clientId: "e5", command: true });
+      const unknown = await aliceSocket.next("error", f => f.clientId === "e5");
+      assert.equal(unknown.code, "invalid_request");
+      assert.equal(unknown.message, "Unknown command /nope");
+      await sleep(50);
+      assert.equal(bobSocket.has("message"), false);
+
+      const history = await request("GET", `/history?peer=${alice.username}`, undefined, bob.token);
+      const stored = history.body.messages[history.body.messages.length - 1];
+      assert.equal(stored.message, "");
+      assert.deepEqual(stored.encrypted, encrypted);
+
+      // Another browser can't take over the key; removing it on purpose lets it publish its own
+      const otherKey = await publicKey();
+      assert.equal((await request("PUT", "/keys", { publicKey: otherKey }, bob.token)).status, 409);
+      const removed = await fetch(`${baseUrl}/keys`, { method: "DELETE", headers: { Authorization: `Bearer ${bob.token}` } });
+      assert.equal(removed.status, 204);
+      assert.equal((await aliceSocket.next("keyChange")).username, bob.username);
+      assert.equal((await request("GET", `/keys/${bob.username}`, undefined, alice.token)).status, 404);
+      assert.equal((await request("PUT", "/keys", { publicKey: otherKey }, bob.token)).status, 200);
+
+      aliceSocket.close();
+      bobSocket.close();
+    });
+
+    test("bad frames get coded errors with the request id", async () => {
+      const alice = await newUser("alice");
+      const socket = await openSocket();
+      socket.sendRaw({ type: "typing", recipient: "bob", requestId: "r1" });
+      assert.deepEqual(await socket.next("error"), { type: "error", code: "not_authenticated", message: "Not authenticated", requestId: "r1" });
+
+      socket.sendRaw({ type: "connect", token: "forged", version: protocol.VERSION });
+      assert.equal((await socket.next("error")).code, "unauthorized");
+
+      const aliceSocket = await openSocket();
+      aliceSocket.sendRaw({ type: "connect", token: alice.token, version: 99 });
+      assert.equal((await aliceSocket.next("error")).code, "unsupported_version");
+      // Without a version the client is treated as speaking version 1
+      aliceSocket.sendRaw({ type: "connect", token: alice.token });
+      assert.equal((await aliceSocket.next("connect-response")).version, 1);
+
+      aliceSocket.sendRaw("{not json");
+      assert.equal((await aliceSocket.next("error")).code, "invalid_json");
+      aliceSocket.sendRaw({ type: "shout", requestId: "r2" });
+      assert.deepEqual(await aliceSocket.next("error"), { type: "error", code: "unknown_type", message: 'Unknown frame type "shout"', requestId: "r2" });
+      aliceSocket.sendRaw({ type: "message", recipient: "bob", clientId: "m4", requestId: "r3" });
+      const invalid = await aliceSocket.next("error");
+      assert.equal(invalid.code, "invalid_frame");
+      assert.equal(invalid.requestId, "r3");
+      assert.equal(invalid.clientId, "m4");
+      aliceSocket.sendRaw({ type: "edit", id: "no-such-message", message: "changed", requestId: "r4" });
+      const missing = await aliceSocket.next("error");
+      assert.equal(missing.code, "not_found");
+      assert.equal(missing.requestId, "r4");
+
+      aliceSocket.close();
+    });
+
+    test("service routes answer 204 only where they're declared to", async () => {
+      const alice = await newUser("alice");
+      const created = await request("POST", "/integrations/tokens", { name: "ci" }, alice.token);
+      assert.equal(created.status, 201);
+
+      const revoked = await fetch(`${baseUrl}/integrations/tokens/${created.body.id}`, { method: "DELETE", headers: { Authorization: `Bearer ${alice.token}` } });
+      assert.equal(revoked.status, 204);
+      assert.equal(await revoked.text(), "");
+      assert.equal((await request("DELETE", `/integrations/tokens/${created.body.id}`, undefined, alice.token)).status, 404);
+
+      // Group and profile routes always answer with the changed resource
+      const removed = await request("DELETE", `/users/${alice.username}/avatar`, undefined, alice.token);
+      assert.equal(removed.status, 200);
+      assert.equal(removed.body.username, alice.username);
+    });
+
+    // One connection serves every request, so another's statements mustn't end up in a transaction's rollback
+    test("a write survives another request's failed transaction", { skip: driver !== "sqlite" }, async () => {
+      const alice = await newUser("alice");
+      const group = { groupId: `group-t${userCount}`, name: "Team", owner: alice.username, members: [{ username: alice.username, role: "owner" }] };
+      await storage.createGroup(group);
+      // Listing the owner twice fails the transaction partway through, after its first statements have run
+      const failing = storage.saveGroup({ ...group, members: [...group.members, ...group.members] });
+      await new Promise(resolve => setImmediate(resolve));
+      const [saved] = await Promise.allSettled([failing, storage.updateUser(alice.username, { statusText: "still here" })]);
+      assert.equal(saved.status, "rejected");
+      assert.equal((await storage.findUser(alice.username)).statusText, "still here");
+    });
+
+    test("the browser gets the protocol module", async () => {
+      const res = await fetch(`${baseUrl}/js/protocol.js`);
+      assert.equal(res.status, 200);
+      assert.match(await res.text(), /ChatProtocol/);
+    });
+  });
+}
+
+describe("two instances on the Redis stand-in", () => {
+  let standin;
+  let dataDir;
+  const instances = [];
+  const urls = [];
+
+  before(async () => {
+    standin = createRedisStandin();
+    const redisPort = await standin.listen();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-x-test-"));
+    storage = createStorage({ driver: "memory" });
+    for (let i = 0; i < 2; i++) {
+      const chat = createChatServer({
+        storage,
+        bus: createBus({ driver: "redis", url: `redis://127.0.0.1:${redisPort}`, channel: "chat-x-test" }),
+        files: createFileStore({ dir: path.join(dataDir, "uploads") }),
+        port: 0,
+        host: "127.0.0.1",
+      });
+      const { port } = await chat.start();
+      instances.push(chat);
+      urls.push(`http://127.0.0.1:${port}`);
+    }
+    baseUrl = urls[0];
+  });
+
+  after(async () => {
+    for (const chat of instances) await chat.stop();
+    await standin.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test("a message reaches a socket on the other instance", async () => {
+    const alice = await newUser("alice");
+    const bob = await newUser("bob");
+    await storage.linkContacts(alice.username, bob.username);
+    const aliceSocket = await connectAs(alice, urls[0]);
+    const bobSocket = await connectAs(bob, urls[1]);
+    // Once Bob's presence has crossed the bus, the first instance knows where to deliver to him
+    await aliceSocket.next("presence", f => f.username === bob.username && f.status === "online");
+
+    aliceSocket.send("message", { recipient: bob.username, message: "Across the bus", clientId: "b1" });
+    const ack = await aliceSocket.next("ack");
+    const received = await bobSocket.next("message");
+    assert.equal(received.id, ack.id);
+    assert.equal(received.sender, alice.username);
+    assert.equal(received.message, "Across the bus");
+
+    bobSocket.send("typing", { recipient: alice.username });
+    assert.equal((await aliceSocket.next("typing")).sender, bob.username);
+
+    aliceSocket.close();
+    bobSocket.close();
+  });
+});
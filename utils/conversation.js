@@ -0,0 +1,26 @@
+// utils/conversation.js — stable conversation keys shared by the server and the migration script
+const { StatusError } = require("./errors");
+
+function isGroupId(id) {
+  return typeof id === "string" && id.startsWith("group-");
+}
+
+// Groups are keyed by their groupId; direct chats by both usernames, sorted and escaped so "a:b"+"c" can't collide with "a"+"b:c"
+function conversationIdFor(user, peer) {
+  if (isGroupId(peer)) return peer;
+  return `dm:${[user, peer].sort().map(encodeURIComponent).join(":")}`;
+}
+
+// Throws a 400 or 404 of `ErrorClass` unless `peer` is a group `username` belongs to or an existing user, who may
+// only be `username` themselves with `allowSelf`. `groupMembers(groupId)` gives a group's usernames, or null.
+async function requireConversation(storage, groupMembers, username, peer, { ErrorClass = StatusError, allowSelf = true } = {}) {
+  if (typeof peer !== "string" || !peer) throw new ErrorClass(400, "Missing peer");
+  if (isGroupId(peer)) {
+    const members = await groupMembers(peer);
+    if (!members || !members.includes(username)) throw new ErrorClass(404, `Group ${peer} not found`);
+  } else if ((!allowSelf && peer === username) || !(await storage.existingUsernames([peer])).length) {
+    throw new ErrorClass(404, `User ${peer} not found`);
+  }
+}
+
+module.exports = { isGroupId, conversationIdFor, requireConversation };
@@ -0,0 +1,13 @@
+// utils/errors.js — the base of every service's error class
+//
+// Carries the HTTP status so REST routes can answer with it and socket handlers can still show the message.
+// Each service has its own subclass, which is how routes tell the errors they expect from bugs.
+class StatusError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+  }
+}
+
+module.exports = { StatusError };
@@ -0,0 +1,122 @@
+// utils/mood.js — scores how a message feels and labels it happy, neutral, sad or angry
+//
+// Scored the way the `sentiment` library scores with its AFINN lexicon, with three things it doesn't do on its own:
+// negation reaches a few words back ("not very good"), intensifiers scale the next word,
+// and emoji count (including ones AFINN doesn't know and several in a row).
+//
+// Shared with the browser, which scores encrypted messages itself: it loads the lexicon as /js/mood-lexicon.js
+// (window.ChatMoodLexicon) and this file as /js/mood.js, and finds it on window.ChatMood.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./moodLexicon"));
+  else root.ChatMood = factory(root.ChatMoodLexicon);
+})(typeof self !== "undefined" ? self : this, function (lexicon) {
+  // Per-word average, the library's "comparative" score; roughly -5..5 but almost always within -2..2
+  const HAPPY_ABOVE = 0.25;
+  const UNHAPPY_BELOW = -0.25;
+  const MAX_SCORE = 5;
+  const NEGATION_REACH = 3;
+  const NEGATED = -0.5; // "not good" is closer to meh than to bad
+  const INTENSIFIED = 1.5;
+
+  const MOODS = ["happy", "neutral", "sad", "angry"];
+
+  const EMOJI = {
+    "😀": 2, "😃": 2, "😄": 3, "😁": 3, "😊": 2, "🙂": 1, "😂": 2, "🤣": 2, "😍": 3, "🥰": 3, "😘": 2,
+    "❤": 3, "💕": 3, "👍": 2, "👏": 2, "🎉": 3, "🥳": 3, "🔥": 1, "✨": 1, "😎": 2,
+    "😢": -2, "😭": -3, "😞": -2, "😔": -2, "😟": -2, "🙁": -2, "☹": -2, "😿": -2, "💔": -3, "🥺": -1, "😩": -2,
+    "😠": -3, "😡": -3, "🤬": -4, "👿": -3, "💢": -2, "😤": -2, "🙄": -1, "👎": -2, "🤮": -3,
+  };
+
+  // Words that point a negative message at anger rather than sadness, and the other way round
+  const ANGRY_CUES = new Set([
+    "angry", "anger", "mad", "furious", "rage", "hate", "hated", "hates", "annoyed", "annoying", "irritated", "pissed",
+    "stupid", "idiot", "idiots", "ridiculous", "disgusting", "shut", "wtf", "damn", "worst", "useless", "sick",
+    "😠", "😡", "🤬", "👿", "💢", "😤", "🤮",
+  ]);
+  const SAD_CUES = new Set([
+    "sad", "unhappy", "miss", "missed", "missing", "cry", "crying", "cried", "lonely", "alone", "sorry", "hurt",
+    "depressed", "heartbroken", "tired", "lost", "disappointed", "upset", "sigh", "regret",
+    "😢", "😭", "😞", "😔", "😟", "🙁", "☹", "😿", "💔", "🥺", "😩",
+  ]);
+
+  const NEGATORS = new Set([
+    "not", "no", "never", "nothing", "nobody", "none", "neither", "nor", "without", "hardly", "barely", "cannot",
+    "cant", "can't", "dont", "don't", "doesnt", "doesn't", "didnt", "didn't", "isnt", "isn't", "wasnt", "wasn't",
+    "arent", "aren't", "werent", "weren't", "wont", "won't", "wouldnt", "wouldn't", "shouldnt", "shouldn't", "aint", "ain't",
+  ]);
+  const INTENSIFIERS = new Set(["very", "really", "so", "too", "super", "extremely", "totally", "absolutely", "incredibly", "truly"]);
+
+  const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+  // Negation stops at the end of a clause: in "no, thanks, I'm happy" the "no" doesn't touch "happy"
+  const CLAUSE_BREAK = /[.,;:!?\n]+|\bbut\b/i;
+  // Two or more shouted words, or a pile of exclamation marks
+  const SHOUTING = /\b[A-Z]{3,}\b.*\b[A-Z]{3,}\b|!{2,}/;
+
+  const isEmoji = (token) => /^\p{Extended_Pictographic}$/u.test(token);
+
+  // The library's own emoji scores win over ours for the emoji it knows, as they always have
+  const LABELS = { ...lexicon.words, ...EMOJI, ...lexicon.emoji };
+
+  // The library's tokenizer: lower case, punctuation out, split on spaces
+  function tokenize(text) {
+    return text
+      .toLowerCase()
+      .replace(/\n/g, " ")
+      .replace(/[.,\/#!?$%\^&\*;:{}=_`\"~()]/g, " ")
+      .replace(/\s\s+/g, " ")
+      .trim()
+      .split(" ");
+  }
+
+  function scoreToken(tokens, cursor, tokenScore) {
+    if (isEmoji(tokens[cursor])) return tokenScore;
+    let score = tokenScore;
+    if (INTENSIFIERS.has(tokens[cursor - 1])) score *= INTENSIFIED;
+    for (let i = cursor - 1; i >= Math.max(0, cursor - NEGATION_REACH); i--) {
+      if (NEGATORS.has(tokens[i])) return score * NEGATED;
+    }
+    return score;
+  }
+
+  // { score, tokens } for one clause
+  function analyzeClause(clause) {
+    const tokens = tokenize(clause);
+    let score = 0;
+    tokens.forEach((token, cursor) => {
+      if (Object.hasOwn(LABELS, token)) score += scoreToken(tokens, cursor, LABELS[token]);
+    });
+    return { score, tokens };
+  }
+
+  // { mood, score } for a piece of text; score is the comparative score rounded to two places
+  function analyzeMood(text) {
+    if (typeof text !== "string" || !text.trim()) return { mood: "neutral", score: 0 };
+    // Variation selectors dropped and emoji spaced out, so "😡😡" is two tokens and "❤️" matches "❤"
+    const spaced = text.replace(/\uFE0F/g, "").replace(EMOJI_PATTERN, " $& ");
+
+    let total = 0;
+    let words = 0;
+    const cues = { angry: 0, sad: 0 };
+    for (const clause of spaced.split(CLAUSE_BREAK)) {
+      if (!clause || !clause.trim()) continue;
+      const result = analyzeClause(clause);
+      total += result.score;
+      words += result.tokens.filter(Boolean).length;
+      result.tokens.forEach(token => {
+        if (ANGRY_CUES.has(token)) cues.angry++;
+        if (SAD_CUES.has(token)) cues.sad++;
+      });
+    }
+    if (!words) return { mood: "neutral", score: 0 };
+    if (SHOUTING.test(text)) cues.angry++;
+
+    const score = Math.round(Math.max(-MAX_SCORE, Math.min(MAX_SCORE, total / words)) * 100) / 100;
+    let mood = "neutral";
+    if (score >= HAPPY_ABOVE) mood = "happy";
+    // Plain negativity reads as sad; it takes hostile words, angry emoji or shouting to make it angry
+    else if (score <= UNHAPPY_BELOW) mood = cues.angry > cues.sad ? "angry" : "sad";
+    return { mood, score };
+  }
+
+  return { MOODS, HAPPY_ABOVE, UNHAPPY_BELOW, analyzeMood };
+});
@@ -0,0 +1,6 @@
+// utils/moodLexicon.js — the word and emoji scores utils/mood.js works from, as the `sentiment` package ships them.
+// These files aren't part of its public API, so package.json pins the exact version; check the paths when bumping it.
+const words = require("sentiment/languages/en/labels.json");
+const emoji = require("sentiment/build/emoji.json");
+
+module.exports = { words, emoji };
@@ -0,0 +1,48 @@
+// utils/password.js — bcrypt hashing plus the lockout policy for failed logins
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 10;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Lockout kicks in after this many consecutive failures and doubles with every further one
+const MAX_FAILED_LOGINS = 5;
+const BASE_LOCK_MS = 30 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+
+function isHashed(stored) {
+  return typeof stored === "string" && /^\$2[aby]\$\d{2}\$/.test(stored);
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Accounts created before hashing still hold plaintext; report those so the caller can upgrade them
+async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string") {
+    return { ok: false, needsRehash: false };
+  }
+  if (isHashed(stored)) {
+    return { ok: await bcrypt.compare(password, stored), needsRehash: false };
+  }
+  const a = Buffer.from(password);
+  const b = Buffer.from(stored);
+  const ok = a.length === b.length && crypto.timingSafeEqual(a, b);
+  return { ok, needsRehash: ok };
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// How long to lock an account after its Nth consecutive failure (0 = not locked yet)
+function lockDuration(failedLogins) {
+  if (failedLogins < MAX_FAILED_LOGINS) return 0;
+  return Math.min(BASE_LOCK_MS * 2 ** (failedLogins - MAX_FAILED_LOGINS), MAX_LOCK_MS);
+}
+
+module.exports = { hashPassword, verifyPassword, validatePassword, lockDuration };
@@ -0,0 +1,64 @@
+// utils/profile.js — validation for usernames and the editable parts of a user profile
+const { isGroupId } = require("./conversation");
+
+const GENDERS = ["male", "female", "non-binary", "other", "prefer-not-to-say"];
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_BIO_LENGTH = 160;
+const MAX_STATUS_LENGTH = 80; // custom presence status, e.g. "In a meeting"
+const MIN_DOB = "1900-01-01";
+const DOB_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Usernames end up in URLs and conversation ids, and the group- prefix marks group ids. A letter or digit is
+// required so "." and ".." can't be names, since they'd turn /users/:username/... into another path.
+const USERNAME_PATTERN = /^(?=.*[A-Za-z0-9])[A-Za-z0-9_.-]{1,32}$/;
+
+const PROFILE_FIELDS = ["displayName", "bio", "dob", "gender"];
+
+function validDob(dob) {
+  if (!DOB_PATTERN.test(dob)) return false;
+  const date = new Date(`${dob}T00:00:00Z`);
+  // Rejects impossible dates like 2023-02-30, which Date would silently roll over
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === dob &&
+    dob >= MIN_DOB && date.getTime() <= Date.now();
+}
+
+// Returns what's wrong with a new username, or null
+function validateUsername(username) {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    return "Username must be 1-32 letters, digits, dots, dashes or underscores, with at least one letter or digit";
+  }
+  if (isGroupId(username)) return 'Usernames can\'t start with "group-"';
+  return null;
+}
+
+// Returns { fields } with trimmed values (null clears a field) or { error }; unknown keys are ignored
+function validateProfile(input) {
+  const fields = {};
+  for (const key of PROFILE_FIELDS) {
+    if (input[key] === undefined) continue;
+    let value = input[key];
+    if (value === null || value === "") {
+      fields[key] = null;
+      continue;
+    }
+    if (typeof value !== "string") return { error: `${key} must be a string` };
+    value = value.trim();
+
+    if (key === "displayName" && (!value || value.length > MAX_DISPLAY_NAME_LENGTH)) {
+      return { error: `Display name must be 1-${MAX_DISPLAY_NAME_LENGTH} characters` };
+    }
+    if (key === "bio" && value.length > MAX_BIO_LENGTH) {
+      return { error: `Bio must be at most ${MAX_BIO_LENGTH} characters` };
+    }
+    if (key === "dob" && !validDob(value)) {
+      return { error: "Date of birth must be a past date in YYYY-MM-DD format" };
+    }
+    if (key === "gender" && !GENDERS.includes(value)) {
+      return { error: `Gender must be one of: ${GENDERS.join(", ")}` };
+    }
+    fields[key] = value || null;
+  }
+  return { fields };
+}
+
+module.exports = { GENDERS, MAX_DISPLAY_NAME_LENGTH, MAX_BIO_LENGTH, MAX_STATUS_LENGTH, DOB_PATTERN, USERNAME_PATTERN, validateUsername, validateProfile };
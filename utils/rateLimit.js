@@ -0,0 +1,43 @@
+// utils/rateLimit.js — in-memory token buckets keyed by any string (a connection, a user, an IP)
+//
+// A bucket holds up to `capacity` tokens and regains `perSecond` of them every second; each action takes one.
+// Limits are per process: with several instances a user gets the allowance once on each.
+const PRUNE_EVERY = 1000; // takes between sweeps of idle buckets
+
+function createRateLimiter({ capacity, perSecond }) {
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+  let takes = 0;
+
+  function refilled(bucket, now) {
+    return Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+  }
+
+  // A full bucket is the same as no bucket, so those are dropped
+  function prune(now) {
+    buckets.forEach((bucket, key) => {
+      if (refilled(bucket, now) >= capacity) buckets.delete(key);
+    });
+  }
+
+  // { allowed: true } or { allowed: false, retryAfterMs } once the key has used up its tokens
+  function take(key) {
+    const now = Date.now();
+    if (++takes % PRUNE_EVERY === 0) prune(now);
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = refilled(bucket, now);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true };
+    }
+    return { allowed: false, retryAfterMs: Math.ceil(((1 - bucket.tokens) / perSecond) * 1000) };
+  }
+
+  return {
+    take,
+    reset: (key) => buckets.delete(key),
+  };
+}
+
+module.exports = { createRateLimiter };
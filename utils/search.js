@@ -0,0 +1,58 @@
+// utils/search.js — query parsing and highlighted snippets for message search
+const MAX_TERMS = 10;
+const SNIPPET_RADIUS = 60;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Lowercase without accents, so "cafe" finds "Café" like the SQLite index does
+function fold(text) {
+  return text.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+// Every distinct folded word of a text, as the Mongo backend stores them for search
+function wordsOf(text) {
+  return [...new Set((String(text).match(WORD) || []).map(fold))];
+}
+
+// Words of the query, folded and de-duplicated; punctuation and operators are ignored
+function tokenize(query) {
+  return wordsOf(query).slice(0, MAX_TERMS);
+}
+
+// Each term matches the start of any word, which is how every backend's index is queried: SQLite with FTS5 prefix
+// queries, Mongo with anchored regexes over the stored words and memory by scanning
+function matchingWords(text, terms) {
+  const words = [];
+  for (const match of text.matchAll(WORD)) {
+    const word = fold(match[0]);
+    if (terms.some(term => word.startsWith(term))) words.push([match.index, match.index + match[0].length, word]);
+  }
+  return words;
+}
+
+function matchesAll(text, terms) {
+  if (!text || !terms.length) return false;
+  const words = matchingWords(text, terms).map(([, , word]) => word);
+  return terms.every(term => words.some(word => word.startsWith(term)));
+}
+
+// A window of text around the first hit, with [start, end) offsets of every matching word in it
+function snippetFor(text, terms, radius = SNIPPET_RADIUS) {
+  const words = matchingWords(text || "", terms);
+  if (!words.length) return { text: (text || "").slice(0, radius * 2), highlights: [] };
+
+  let start = Math.max(0, words[0][0] - radius);
+  let end = Math.min(text.length, words[0][1] + radius);
+  // Don't cut words in half at either edge
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(" ", end) > words[0][1] ? text.lastIndexOf(" ", end) : end;
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const highlights = words
+    .filter(([s, e]) => s >= start && e <= end)
+    .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]);
+  return { text: prefix + text.slice(start, end) + suffix, highlights };
+}
+
+module.exports = { wordsOf, tokenize, matchesAll, snippetFor };
@@ -0,0 +1,99 @@
+// ws/dispatcher.js — turns raw socket frames into handler calls
+//
+// Each frame is parsed, rate limited, checked against its schema in protocol/ and passed to the handler for its
+// type as handle(session, frame), where the frame only holds its declared fields. Whatever goes wrong comes back
+// to the client as an error frame with a code from protocol.ERRORS and the requestId the client sent.
+// A socket's frames are handled one at a time, in the order they arrived, so two messages sent in a row are
+// moderated and stored in that order; rate limits are applied as frames arrive, before they wait their turn.
+const protocol = require("../protocol");
+
+// Thrown by handlers to refuse a frame with a specific error code
+class FrameError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "FrameError";
+    this.code = code;
+  }
+}
+
+// One per socket; `username` and `version` are set once the connect frame is accepted
+function createSession(ws, { connectionId, handshakeToken }) {
+  const session = {
+    ws,
+    connectionId,
+    handshakeToken,
+    username: null,
+    version: null,
+    queue: Promise.resolve(), // settles once every frame received so far has been handled
+    send(type, fields = {}) {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type, ...fields }));
+    },
+    error(code, message, fields = {}) {
+      session.send("error", { code, message, ...fields });
+    },
+  };
+  return session;
+}
+
+// The ids an error frame carries so the client can tell which of its requests failed
+function errorContext(frame) {
+  const context = {};
+  if (typeof frame.requestId === "string") context.requestId = frame.requestId;
+  if (typeof frame.clientId === "string") context.clientId = frame.clientId;
+  if (typeof frame.id === "string") context.id = frame.id;
+  return context;
+}
+
+// `handlers` maps every client frame type to { handle(session, frame), failure }, where `failure` is what the
+// client is told when the handler throws something unexpected. `errorCode(err)` gives the code for errors the
+// client should see (service errors), or null for bugs.
+function createDispatcher({ handlers, limits, errorCode }) {
+  const missing = Object.keys(protocol.CLIENT_FRAMES).filter(type => !handlers[type]);
+  if (missing.length) throw new Error(`No handler for ${missing.join(", ")} frames`);
+
+  function dispatch(session, data) {
+    let raw;
+    try {
+      raw = JSON.parse(data);
+    } catch {
+      return session.error("invalid_json", "Frames must be JSON");
+    }
+    if (!raw || typeof raw !== "object" || Array.isArray(raw) || typeof raw.type !== "string") {
+      return session.error("invalid_frame", "Frames must be objects with a type", raw && typeof raw === "object" ? errorContext(raw) : {});
+    }
+    const context = errorContext(raw);
+
+    // Checked before anything else, the connect frame included
+    const limited = limits.check(session.connectionId, session.username, raw.type);
+    if (limited) {
+      if (limited.disconnect) return session.ws.close(1008, "Too many requests");
+      // Typing updates over the limit are dropped quietly; everything else is told to slow down
+      if (limited.category !== "typing") session.error("rate_limited", limited.message, { ...context, retryAfter: limited.retryAfterMs });
+      return;
+    }
+
+    session.queue = session.queue.then(() => handleFrame(session, raw, context))
+      .catch(err => console.error(`Socket ${raw.type} error:`, err));
+    return session.queue;
+  }
+
+  async function handleFrame(session, raw, context) {
+    if (!protocol.isClientType(raw.type)) return session.error("unknown_type", `Unknown frame type "${raw.type}"`, context);
+    const { frame, error } = protocol.validateClientFrame(raw);
+    if (error) return session.error("invalid_frame", error, context);
+    if (frame.type !== "connect" && !session.username) return session.error("not_authenticated", "Not authenticated", context);
+
+    const handler = handlers[frame.type];
+    try {
+      await handler.handle(session, frame);
+    } catch (err) {
+      const code = err instanceof FrameError ? err.code : errorCode(err);
+      if (!code) console.error(`Socket ${frame.type} error:`, err);
+      session.error(code || "internal", code ? err.message : handler.failure || "Something went wrong", context);
+    }
+  }
+
+  return { dispatch };
+}
+
+module.exports = { FrameError, createSession, createDispatcher };
@@ -0,0 +1,29 @@
+// ws/handlers/changes.js — edits, deletions and reactions to existing messages
+function createChangeHandlers({ messages, broadcastMessageUpdate, sendTo }) {
+  const failure = "Message could not be updated";
+  return {
+    edit: {
+      failure,
+      async handle(session, frame) {
+        await broadcastMessageUpdate(await messages.editMessage(frame.id, session.username, frame.message));
+      },
+    },
+    react: {
+      failure,
+      async handle(session, frame) {
+        await broadcastMessageUpdate(await messages.toggleReaction(frame.id, session.username, frame.emoji));
+      },
+    },
+    delete: {
+      failure,
+      async handle(session, frame) {
+        const result = await messages.deleteMessage(frame.id, session.username, frame.scope);
+        if (result.scope === "everyone") await broadcastMessageUpdate(result.message);
+        // Deleting for yourself only tidies up your own devices
+        else sendTo(session.username, { type: "messageHidden", id: result.message.id });
+      },
+    },
+  };
+}
+
+module.exports = { createChangeHandlers };
@@ -0,0 +1,32 @@
+// ws/handlers/connect.js — the first frame of every socket: picks the protocol version and authenticates
+const { SUPPORTED_VERSIONS, negotiate } = require("../../protocol");
+const { FrameError } = require("../dispatcher");
+
+// `join(session)` makes the authenticated socket one of the user's devices and answers with connect-response
+function createConnectHandlers({ verifyToken, join }) {
+  return {
+    connect: {
+      failure: "Could not connect",
+      async handle(session, frame) {
+        if (session.username) throw new FrameError("already_connected", "Already connected");
+        const version = negotiate(frame.version);
+        if (!version) {
+          throw new FrameError("unsupported_version", `Protocol version ${frame.version} isn't supported (supported: ${SUPPORTED_VERSIONS.join(", ")})`);
+        }
+        // A token passed on the upgrade request authenticates the socket when the frame has none
+        const username = await verifyToken(frame.token || session.handshakeToken);
+        if (session.username) throw new FrameError("already_connected", "Already connected");
+        if (!username || (frame.username && frame.username !== username)) {
+          session.error("unauthorized", "Invalid or expired token", frame.requestId ? { requestId: frame.requestId } : {});
+          session.ws.close(1008, "Unauthorized");
+          return;
+        }
+        session.username = username;
+        session.version = version;
+        await join(session);
+      },
+    },
+  };
+}
+
+module.exports = { createConnectHandlers };
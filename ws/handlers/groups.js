@@ -0,0 +1,34 @@
+// ws/handlers/groups.js — creating groups and managing their members
+//
+// Every change ends in publishGroup(groupId, group, removed), which tells current and removed members.
+function createGroupHandlers({ groups, publishGroup }) {
+  const failure = "Group operation failed";
+  const handler = (handle) => ({ failure, handle: (session, frame) => handle(session.username, frame) });
+
+  return {
+    "group-create": handler(async (username, { name, members }) => {
+      const group = await groups.createGroup(username, name, members || []);
+      publishGroup(group.groupId, group);
+    }),
+    "group-invite": handler(async (username, { groupId, members }) => {
+      const { group } = await groups.inviteMembers(groupId, username, members);
+      publishGroup(groupId, group);
+    }),
+    "group-remove": handler(async (username, { groupId, member }) => {
+      const { group, removed } = await groups.removeMember(groupId, username, member);
+      publishGroup(groupId, group, [removed]);
+    }),
+    "group-leave": handler(async (username, { groupId }) => {
+      const { group, removed } = await groups.leaveGroup(groupId, username);
+      publishGroup(groupId, group, [removed]);
+    }),
+    "group-rename": handler(async (username, { groupId, name }) => {
+      publishGroup(groupId, await groups.renameGroup(groupId, username, name));
+    }),
+    "group-role": handler(async (username, { groupId, member, role }) => {
+      publishGroup(groupId, await groups.setRole(groupId, username, member, role));
+    }),
+  };
+}
+
+module.exports = { createGroupHandlers };
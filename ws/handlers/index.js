@@ -0,0 +1,26 @@
+// ws/handlers/index.js — the handler for every client frame type, built from what server.js provides
+//
+// `deps` holds the services and the server's delivery helpers; each module takes the ones it needs.
+const { createConnectHandlers } = require("./connect");
+const { createMessageHandlers } = require("./messages");
+const { createSyncHandlers } = require("./sync");
+const { createReceiptHandlers } = require("./receipts");
+const { createChangeHandlers } = require("./changes");
+const { createGroupHandlers } = require("./groups");
+const { createTypingHandlers } = require("./typing");
+const { createPresenceHandlers } = require("./presence");
+
+function createHandlers(deps) {
+  return {
+    ...createConnectHandlers(deps),
+    ...createMessageHandlers(deps),
+    ...createSyncHandlers(deps),
+    ...createReceiptHandlers(deps),
+    ...createChangeHandlers(deps),
+    ...createGroupHandlers(deps),
+    ...createTypingHandlers(deps),
+    ...createPresenceHandlers(deps),
+  };
+}
+
+module.exports = { createHandlers };
@@ -0,0 +1,114 @@
+// ws/handlers/messages.js — message and attachment frames: store, acknowledge and deliver a new message
+const { isGroupId, conversationIdFor } = require("../../utils/conversation");
+const { FrameError } = require("../dispatcher");
+const { AIError } = require("../../services/ai");
+const { MessageError } = require("../../services/messages");
+const { AttachmentError } = require("../../services/attachments");
+
+function blockedMessage(status, peer) {
+  return status === "blocked" ? `You blocked ${peer}; unblock them to send messages` : "You can't message this user";
+}
+
+function createMessageHandlers({ storage, bots, privacy, attachments, messages, keys, groupMembers, saveMessage, fanOut, passToBot }) {
+  // Slash commands never reach the conversation; only the socket that typed one sees the answer
+  async function runCommand(session, peer, { bot, name, command, args }, text, clientId) {
+    const reply = async (answer) => session.send("botReply", {
+      clientId,
+      bot: bot.username,
+      peer,
+      command: name,
+      message: answer,
+      timestamp: new Date().toISOString()
+    });
+    try {
+      await command.run({ user: session.username, peer, text, args, reply });
+    } catch (err) {
+      const known = err instanceof AIError || err instanceof MessageError;
+      if (!known) console.error(`Bot command /${name} error:`, err);
+      await reply(`⚠️ ${known ? err.message : "Something went wrong, try again"}`);
+    }
+  }
+
+  const ackDuplicate = (session, clientId, message) => session.send("ack", { clientId, id: message.id, timestamp: message.timestamp });
+
+  async function handle(session, frame) {
+    // The sender is always the authenticated user, whatever the client claims
+    const { username } = session;
+    const { recipient, clientId } = frame;
+    const text = frame.message === undefined ? "" : frame.message;
+
+    let members = null;
+    if (isGroupId(recipient)) {
+      members = await groupMembers(recipient);
+      if (!members || !members.includes(username)) throw new FrameError("forbidden", "You are not a member of this group");
+    } else {
+      await messages.checkRecipient(recipient);
+    }
+
+    const command = frame.type === "message" && bots.findCommand(text);
+    if (command) return runCommand(session, recipient, command, text, clientId);
+    // Sent unencrypted only to reach a bot, so it's never delivered as an ordinary message
+    if (frame.command) throw new FrameError("invalid_request", `Unknown command ${text.trim().split(/\s/)[0]}`);
+
+    // Neither side of a block can message the other; groups they share are unaffected
+    const blocked = !members && await privacy.blockStatus(username, recipient);
+    if (blocked) throw new FrameError("blocked", blockedMessage(blocked, recipient));
+
+    // The text of an encrypted message is in its envelope only
+    let encrypted;
+    if (frame.encrypted) {
+      if (text) throw new FrameError("invalid_request", "Encrypted messages can't carry plain text");
+      encrypted = await keys.checkEnvelope(username, recipient, frame.encrypted);
+    }
+
+    const { quoted, root } = frame.replyTo || frame.threadId
+      ? await messages.checkReferences(username, conversationIdFor(username, recipient), frame)
+      : {};
+
+    let attachment;
+    if (frame.type === "attachment") {
+      try {
+        attachment = await attachments.attachToMessage(frame.attachmentId, username, recipient);
+      } catch (err) {
+        if (err instanceof AttachmentError) throw err;
+        console.error("Attachment lookup error:", err);
+        throw new FrameError("internal", "Attachment could not be sent");
+      }
+    }
+
+    let payload;
+    try {
+      // A resend of something we already stored only needs the ack again
+      const duplicate = clientId && await storage.findMessageByClientId(username, clientId);
+      if (duplicate) return ackDuplicate(session, clientId, duplicate);
+
+      payload = await saveMessage({ sender: username, recipient, message: text, attachment, clientId, quoted, root, encrypted }, members);
+    } catch (err) {
+      // Two copies of the same resend can race past the duplicate check; the loser just acks the winner
+      const existing = clientId && await storage.findMessageByClientId(username, clientId).catch(() => null);
+      if (existing) return ackDuplicate(session, clientId, existing);
+      throw err;
+    }
+    session.send("ack", {
+      clientId,
+      id: payload.id,
+      timestamp: payload.timestamp,
+      mood: payload.mood,
+      moodScore: payload.moodScore,
+      flags: payload.flags,
+      // Moderation masked part of it, so the sender's copy needs the stored text
+      message: payload.message !== text ? payload.message : undefined
+    });
+
+    await fanOut(payload, members, { except: session.ws, clientId });
+    if (bots.isBot(payload.recipient)) passToBot(payload);
+  }
+
+  return {
+    message: { handle, failure: "Message could not be saved" },
+    // A message sharing an uploaded file, with the text as an optional caption
+    attachment: { handle, failure: "Message could not be saved" },
+  };
+}
+
+module.exports = { blockedMessage, createMessageHandlers };
@@ -0,0 +1,13 @@
+// ws/handlers/presence.js — this device's activity, from the client's idle detection
+function createPresenceHandlers({ updateLocalPresence }) {
+  return {
+    presence: {
+      failure: "Presence update failed",
+      async handle(session, { status }) {
+        updateLocalPresence(session.username, () => { session.ws.activity = status; });
+      },
+    },
+  };
+}
+
+module.exports = { createPresenceHandlers };
@@ -0,0 +1,44 @@
+// ws/handlers/receipts.js — delivered and read receipts
+const { isGroupId, conversationIdFor } = require("../../utils/conversation");
+const { FrameError } = require("../dispatcher");
+
+function createReceiptHandlers({ storage, groupMembers, notifyReceipts, sendTo }) {
+  // Only the recipient of a direct message, or a fellow group member, can acknowledge it
+  async function canReceive(message, user) {
+    if (message.sender === user) return false;
+    if (!isGroupId(message.recipient)) return message.recipient === user;
+    const members = await groupMembers(message.recipient);
+    return Boolean(members && members.includes(user));
+  }
+
+  return {
+    delivered: {
+      failure: "Delivery receipt failed",
+      async handle(session, frame) {
+        const { username } = session;
+        const allowed = [];
+        for (const m of await storage.getMessages(frame.ids)) {
+          if (await canReceive(m, username)) allowed.push(m.id);
+        }
+        notifyReceipts(await storage.addReceipts(allowed, username, "delivered"), username, "delivered");
+      },
+    },
+
+    // Everything in the conversation up to `upTo` (or its latest message)
+    read: {
+      failure: "Read receipt failed",
+      async handle(session, frame) {
+        const { username } = session;
+        const { peer, upTo } = frame;
+        if (isGroupId(peer) && !(await groupMembers(peer) || []).includes(username)) throw new FrameError("not_found", "Group not found");
+        const changed = await storage.markRead(conversationIdFor(username, peer), username, upTo);
+        if (!changed) throw new FrameError("not_found", "Unknown message");
+        notifyReceipts(changed, username, "read");
+        // Clears the unread badge on the reader's other devices
+        sendTo(username, { type: "read", peer, upTo }, session.ws);
+      },
+    },
+  };
+}
+
+module.exports = { createReceiptHandlers };
@@ -0,0 +1,20 @@
+// ws/handlers/sync.js — replays missed messages after a reconnect
+const SYNC_PAGE_SIZE = 200;
+
+function createSyncHandlers({ storage, withReplyPreviews }) {
+  return {
+    // Every message in the user's conversations from `since` on, in pages the client keeps asking for
+    sync: {
+      failure: "Sync failed",
+      async handle(session, frame) {
+        const groupIds = (await storage.listGroupsFor(session.username)).map(g => g.groupId);
+        const page = await storage.messagesSince(session.username, groupIds, new Date(frame.since), SYNC_PAGE_SIZE);
+        const messages = (await withReplyPreviews(page.messages.filter(m => m.id !== frame.sinceId)))
+          .map(m => ({ ...m, type: "message" }));
+        session.send("sync", { messages, hasMore: page.hasMore });
+      },
+    },
+  };
+}
+
+module.exports = { createSyncHandlers };
@@ -0,0 +1,18 @@
+// ws/handlers/typing.js — "is typing" notices, which are best effort and never answered
+function createTypingHandlers({ privacy, sendTo }) {
+  return {
+    typing: {
+      async handle(session, { recipient }) {
+        try {
+          if (await privacy.blockStatus(session.username, recipient)) return;
+        } catch (err) {
+          console.error("Typing block check error:", err);
+          return;
+        }
+        sendTo(recipient, { type: "typing", sender: session.username });
+      },
+    },
+  };
+}
+
+module.exports = { createTypingHandlers };